@@ -5,10 +5,107 @@ const AppState = {
   currentReport: 'arrest',
   formData: {},
   generatedReports: [],
+  lastReport: null,
   settings: {
     autoSave: true,
     animations: true,
-    darkMode: true
+    darkMode: true,
+    outputFormat: 'plain',
+    letterhead: {
+      agencyName: '',
+      lines: '',
+      sealImage: '',
+      sealWidth: 0,
+      sealHeight: 0,
+      showSignature: true,
+      signatureLabel: 'Reporting Officer'
+    },
+    caseNumbering: {
+      prefix: 'CID',
+      suffix: 'SO',
+      padding: 4,
+      includeYear: false
+    },
+    security: {
+      autoLockMinutes: 15,
+      excludeCiFromAutoSave: false
+    },
+    // Saved redaction profiles per report type (rule keys)
+    redaction: {},
+    // The current user, used as the default arresting officer
+    profile: {
+      rank: '',
+      name: '',
+      badge: '',
+      unit: '',
+      callsign: ''
+    },
+    // Other officers, as { rank, name, badge, unit, callsign }
+    roster: [],
+    // Report types written as a prose narrative instead of labelled fields
+    narrative: {},
+    // How dates and times appear in generated reports ('' time zone = this device's)
+    dates: {
+      format: 'medium',
+      clock: '12h',
+      timeZone: ''
+    }
+  }
+};
+
+// ===== REPORT TYPES =====
+const ReportTypes = {
+  // Display names for each report type
+  labels: {
+    'arrest': 'Arrest Report',
+    'citation': 'Citation Report',
+    'case-opening': 'Case Opening File',
+    'investigative-update': 'Investigative Update',
+    'interview': 'Interview Report',
+    'ci-report': 'Confidential Informant Report',
+    'warrant': 'Warrant Support Summary',
+    'case-closure': 'Case Closure Summary'
+  },
+
+  // Case number field for each report type that has one
+  caseNumberFields: {
+    'case-opening': 'caseNumber',
+    'investigative-update': 'updateCaseNumber',
+    'interview': 'interviewCaseNumber',
+    'ci-report': 'ciCaseNumber',
+    'warrant': 'warrantCaseNumber',
+    'case-closure': 'closureCaseNumber'
+  },
+
+  // Field holding the date the reported event took place
+  dateFields: {
+    'arrest': 'arrestDateTime',
+    'citation': 'citationDateTime',
+    'case-opening': 'dateOpened',
+    'investigative-update': 'updateDateTime',
+    'interview': 'interviewDateTime',
+    'ci-report': 'ciContactDateTime',
+    'warrant': 'warrantDate',
+    'case-closure': 'closureDate'
+  },
+
+  // Get display name for a report type
+  getLabel: (reportType) => {
+    return ReportTypes.labels[reportType] || reportType;
+  },
+
+  // Get the case number from a report's form data
+  getCaseNumber: (reportType, formData = {}) => {
+    const field = ReportTypes.caseNumberFields[reportType];
+    return field && formData[field] ? formData[field].trim() : '';
+  },
+
+  // Get the date of the reported event, falling back to a given timestamp
+  getEventDate: (reportType, formData = {}, fallback) => {
+    const value = formData[ReportTypes.dateFields[reportType]];
+    if (!value) return new Date(fallback);
+    // Date-only values are local dates, not UTC midnight
+    return new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value);
   }
 };
 
@@ -27,21 +124,56 @@ const Utils = {
     };
   },
 
-  // Format date for display
-  formatDate: (date) => {
-    return new Date(date).toLocaleString('en-US', {
+  // Format date for display, optionally with a locale and Intl options
+  formatDate: (date, options) => {
+    const { locale = 'en-US', ...format } = options || {
       year: 'numeric',
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
       minute: '2-digit'
+    };
+    return new Date(date).toLocaleString(locale, format);
+  },
+
+  // Word-wrap a line to a maximum number of characters, keeping its indentation
+  wrapText: (line, maxChars) => {
+    if (line.length <= maxChars) return [line];
+
+    // Cap the indent so every wrapped line has room for at least one character
+    const indent = line.match(/^\s*/)[0].slice(0, Math.floor(maxChars / 2));
+    const width = Math.max(1, maxChars - indent.length);
+    const words = line.trim().split(/\s+/);
+    const lines = [];
+    let current = indent;
+
+    words.forEach(word => {
+      // Break words longer than a whole line
+      while (word.length > width) {
+        if (current.trim()) {
+          lines.push(current);
+          current = indent;
+        }
+        lines.push(indent + word.slice(0, width));
+        word = word.slice(width);
+      }
+
+      if (!word) return;
+      if ((current + (current.trim() ? ' ' : '') + word).length > maxChars) {
+        lines.push(current);
+        current = indent + word;
+      } else {
+        current += (current.trim() ? ' ' : '') + word;
+      }
     });
+
+    if (current.trim()) lines.push(current);
+    return lines;
   },
 
-  // Validate case number format
+  // Validate case number format (normalized the same way as the case registry)
   validateCaseNumber: (number) => {
-    const pattern = /^CID-\d+-SO$/;
-    return pattern.test(number);
+    return CaseNumbering.getPattern().test(CaseRegistry.normalize(number));
   },
 
   // Generate unique ID
@@ -66,6 +198,120 @@ const Utils = {
     }
   },
 
+  // Deep copy plain JSON data
+  clone: (value) => {
+    return JSON.parse(JSON.stringify(value));
+  },
+
+  // Escape text for safe insertion into HTML
+  escapeHtml: (text) => {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  // Format date as YYYY-MM-DD in local time (matches date inputs)
+  toDateInputValue: (date) => {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  },
+
+  // Parse CSV text into rows of cells (handles quoted cells)
+  parseCsv: (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(r => r.some(c => c.trim()));
+  },
+
+  // Convert rows of cells into CSV text
+  toCsv: (rows) => {
+    return rows.map(row => row.map(cell => {
+      const text = String(cell ?? '');
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\n');
+  },
+
+  // Decode base64 text (or a data URL) into bytes
+  base64ToBytes: (base64) => {
+    const binary = atob(base64.replace(/^data:[^,]*,/, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  // Encode bytes as base64 text
+  bytesToBase64: (bytes) => {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  },
+
+  // Read JSON value from localStorage
+  readStorage: (key, fallback) => {
+    try {
+      const saved = localStorage.getItem(key);
+      return saved ? JSON.parse(saved) : fallback;
+    } catch (err) {
+      console.error('Failed to read storage key:', key, err);
+      return fallback;
+    }
+  },
+
+  // Write JSON value to localStorage
+  writeStorage: (key, value) => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (err) {
+      console.error('Failed to write storage key:', key, err);
+      StatusManager.error('Local storage is full - could not save data');
+      return false;
+    }
+  },
+
   // Download file
   downloadFile: (content, filename, type = 'text/plain') => {
     const blob = new Blob([content], { type });
@@ -82,11 +328,23 @@ const Utils = {
 
 // ===== STATUS MESSAGES =====
 const StatusManager = {
-  show: (message, type = 'info', duration = 5000) => {
+  show: (message, type = 'info', duration = 5000, action = null) => {
     const container = document.getElementById('statusContainer');
     const messageEl = document.createElement('div');
     messageEl.className = `status-message ${type}`;
     messageEl.textContent = message;
+
+    // Optional button, e.g. { label: 'Undo', onClick }
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'status-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        action.onClick();
+        messageEl.remove();
+      });
+      messageEl.appendChild(button);
+    }
     
     container.appendChild(messageEl);
     
@@ -105,6 +363,510 @@ const StatusManager = {
   info: (message) => StatusManager.show(message, 'info')
 };
 
+// ===== STORAGE =====
+// IndexedDB storage for drafts, reports and cases, with localStorage as a fallback
+const DataStore = {
+  dbName: 'kyntra',
+  db: null,
+  fallbackKey: 'kyntraStore',
+  fallback: null,
+
+  // localStorage keys used before IndexedDB, imported once on first run
+  legacyKeys: {
+    formData: 'kyntraFormData',
+    drafts: 'kyntraDrafts',
+    reports: 'kyntraReportHistory',
+    cases: 'kyntraCases'
+  },
+
+  // Schema migrations; the database version is the number of steps
+  migrations: [
+    // 1: drafts, reports, cases and a key/value meta store
+    (db) => {
+      db.createObjectStore('drafts', { keyPath: 'id' }).createIndex('reportType', 'reportType');
+      db.createObjectStore('reports', { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+      db.createObjectStore('cases', { keyPath: 'caseNumber' });
+      db.createObjectStore('meta', { keyPath: 'key' });
+    },
+    // 2: person directory
+    (db) => {
+      db.createObjectStore('people', { keyPath: 'id' });
+    }
+  ],
+
+  // Fields left readable when a record is encrypted (keys and indexes)
+  encryptedStores: {
+    drafts: ['id', 'reportType'],
+    reports: ['id', 'timestamp'],
+    people: ['id']
+  },
+
+  // Key path for each store (used by the fallback)
+  keyPaths: {
+    drafts: 'id',
+    reports: 'id',
+    cases: 'caseNumber',
+    people: 'id',
+    meta: 'key'
+  },
+
+  // Open the database, run pending migrations and import old localStorage data
+  open: async () => {
+    try {
+      DataStore.db = await DataStore.openDatabase();
+    } catch (err) {
+      console.error('IndexedDB unavailable, using localStorage:', err);
+      DataStore.fallback = Utils.readStorage(DataStore.fallbackKey, {});
+    }
+
+    await DataStore.importLocalStorage();
+  },
+
+  // Open IndexedDB, upgrading the schema one migration at a time
+  openDatabase: () => {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(DataStore.dbName, DataStore.migrations.length);
+      request.onupgradeneeded = (e) => {
+        const db = request.result;
+        for (let version = e.oldVersion; version < DataStore.migrations.length; version++) {
+          DataStore.migrations[version](db, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        request.result.onversionchange = DataStore.handleVersionChange;
+        resolve(request.result);
+      };
+      request.onerror = () => reject(request.error);
+      // Another open tab holds the old version; the upgrade continues once it closes
+      request.onblocked = () => {
+        StatusManager.show('Close other tabs of this app to finish updating saved data', 'warning', 15000);
+      };
+    });
+  },
+
+  // Another tab is upgrading the database: let it, and ask for a reload here
+  handleVersionChange: () => {
+    DataStore.db.close();
+    StatusManager.show('Saved data was updated in another tab - reload to keep saving', 'warning', 60000, {
+      label: 'Reload',
+      onClick: () => location.reload()
+    });
+  },
+
+  // Run a request against a store and resolve with its result
+  request: (storeName, mode, action) => {
+    return new Promise((resolve, reject) => {
+      const transaction = DataStore.db.transaction(storeName, mode);
+      const result = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(result && result.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  // Persist the localStorage fallback
+  saveFallback: () => {
+    return Utils.writeStorage(DataStore.fallbackKey, DataStore.fallback);
+  },
+
+  // Fallback records for a store, keyed by primary key
+  getFallbackStore: (storeName) => {
+    if (!DataStore.fallback[storeName]) DataStore.fallback[storeName] = {};
+    return DataStore.fallback[storeName];
+  },
+
+  // Surface a failed write without breaking the caller
+  handleError: (err) => {
+    console.error('Storage write failed:', err);
+    StatusManager.error(err && err.name === 'QuotaExceededError'
+      ? 'Storage is full - delete old drafts or history'
+      : 'Could not save data');
+    return false;
+  },
+
+  // Encrypt a record if the store is protected and a passphrase is set; refuse while locked
+  seal: async (storeName, record) => {
+    const readable = DataStore.encryptedStores[storeName];
+    if (!readable || !Vault.isEnabled()) return record;
+    if (Vault.isLocked()) throw new Error('Storage is locked');
+
+    const sealed = { sealed: await Vault.encrypt(record) };
+    readable.forEach(field => { sealed[field] = record[field]; });
+    return sealed;
+  },
+
+  // Decrypt a sealed record
+  unseal: (record) => {
+    return record.sealed ? Vault.decrypt(record.sealed) : record;
+  },
+
+  // Read all records from a store
+  getAll: async (storeName) => {
+    const records = DataStore.fallback
+      ? Object.values(DataStore.getFallbackStore(storeName))
+      : await DataStore.request(storeName, 'readonly', store => store.getAll());
+    return Promise.all(records.map(DataStore.unseal));
+  },
+
+  // Insert or update records
+  put: async (storeName, ...records) => {
+    let sealed;
+    try {
+      sealed = await Promise.all(records.map(record => DataStore.seal(storeName, record)));
+    } catch (err) {
+      return DataStore.handleError(err);
+    }
+
+    if (DataStore.fallback) {
+      const store = DataStore.getFallbackStore(storeName);
+      sealed.forEach(record => { store[record[DataStore.keyPaths[storeName]]] = Utils.clone(record); });
+      return DataStore.saveFallback();
+    }
+    return DataStore.request(storeName, 'readwrite', store => {
+      sealed.forEach(record => store.put(record));
+    }).then(() => true, DataStore.handleError);
+  },
+
+  // Delete a record by key
+  delete: (storeName, key) => {
+    if (DataStore.fallback) {
+      delete DataStore.getFallbackStore(storeName)[key];
+      return Promise.resolve(DataStore.saveFallback());
+    }
+    return DataStore.request(storeName, 'readwrite', store => store.delete(key))
+      .then(() => true, DataStore.handleError);
+  },
+
+  // Replace the whole contents of a store
+  replaceAll: async (storeName, records) => {
+    if (DataStore.fallback) {
+      DataStore.fallback[storeName] = {};
+      return DataStore.put(storeName, ...records);
+    }
+
+    let sealed;
+    try {
+      sealed = await Promise.all(records.map(record => DataStore.seal(storeName, record)));
+    } catch (err) {
+      return DataStore.handleError(err);
+    }
+
+    return DataStore.request(storeName, 'readwrite', store => {
+      store.clear();
+      sealed.forEach(record => store.put(record));
+    }).then(() => true, DataStore.handleError);
+  },
+
+  // Read a value from the meta store
+  getMeta: async (key, fallback) => {
+    const records = await DataStore.getAll('meta');
+    const record = records.find(item => item.key === key);
+    return record ? record.value : fallback;
+  },
+
+  // Write a value to the meta store
+  setMeta: (key, value) => {
+    return DataStore.put('meta', { key, value });
+  },
+
+  // One-time import of drafts, history and cases saved in localStorage by older versions
+  importLocalStorage: async () => {
+    if (await DataStore.getMeta('localStorageImported', false)) return;
+
+    const { legacyKeys } = DataStore;
+    const now = new Date().toISOString();
+    const activeDrafts = {};
+    const drafts = [];
+
+    const saved = Utils.readStorage(legacyKeys.drafts, null);
+    if (saved) {
+      Object.entries(saved).forEach(([reportType, store]) => {
+        (store.drafts || []).forEach(draft => drafts.push({ ...draft, reportType }));
+        if (store.activeId) activeDrafts[reportType] = store.activeId;
+      });
+    } else {
+      // Oldest format: one unnamed draft per report type
+      Object.entries(Utils.readStorage(legacyKeys.formData, {})).forEach(([reportType, data]) => {
+        const draft = { id: Utils.generateId(), reportType, name: 'Draft 1', data, createdAt: now, updatedAt: now };
+        drafts.push(draft);
+        activeDrafts[reportType] = draft.id;
+      });
+    }
+
+    const reports = Utils.readStorage(legacyKeys.reports, []);
+    const cases = Object.values(Utils.readStorage(legacyKeys.cases, {}));
+
+    if (drafts.length > 0) await DataStore.put('drafts', ...drafts);
+    if (reports.length > 0) await DataStore.put('reports', ...reports);
+    if (cases.length > 0) await DataStore.put('cases', ...cases);
+    await DataStore.setMeta('activeDrafts', activeDrafts);
+
+    // Only forget the old data once it is safely stored
+    if (await DataStore.setMeta('localStorageImported', true)) {
+      Object.values(legacyKeys).forEach(key => localStorage.removeItem(key));
+    }
+  }
+};
+
+// ===== PASSPHRASE LOCK =====
+// Drafts and history are encrypted with AES-GCM using a key derived from the passphrase
+const Vault = {
+  key: null,
+  config: null,
+  iterations: 250000,
+  timer: null,
+  unlockResolver: null,
+
+  // Load lock settings, wait for the passphrase if locked and start the inactivity timer
+  init: async () => {
+    Vault.config = await DataStore.getMeta('lock', null);
+
+    ['click', 'keydown', 'input'].forEach(eventName => {
+      document.addEventListener(eventName, Vault.resetTimer);
+    });
+
+    const input = document.getElementById('unlockPassphrase');
+    if (input) {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') Vault.submitUnlock();
+      });
+    }
+
+    if (Vault.isEnabled()) {
+      await Vault.waitForUnlock();
+    }
+    Vault.renderStatus();
+  },
+
+  // Whether a passphrase has been set
+  isEnabled: () => {
+    return !!Vault.config;
+  },
+
+  // Whether data is currently locked away
+  isLocked: () => {
+    return Vault.isEnabled() && !Vault.key;
+  },
+
+  // Derive an AES key from a passphrase and salt
+  deriveKey: async (passphrase, salt, iterations = Vault.iterations) => {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  // Encrypt any JSON value
+  encrypt: async (value, key = Vault.key) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = new TextEncoder().encode(JSON.stringify(value));
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data);
+    return { iv: Utils.bytesToBase64(iv), data: Utils.bytesToBase64(encrypted) };
+  },
+
+  // Decrypt a value produced by encrypt
+  decrypt: async (payload, key = Vault.key) => {
+    if (!key) throw new Error('Storage is locked');
+
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: Utils.base64ToBytes(payload.iv) },
+      key,
+      Utils.base64ToBytes(payload.data)
+    );
+    return JSON.parse(new TextDecoder().decode(decrypted));
+  },
+
+  // Re-write drafts and history so they match the current lock state
+  resave: () => {
+    return Promise.all([DraftManager.save(), ReportHistory.save(), PersonDirectory.save()]);
+  },
+
+  // Set or change the passphrase from the settings form
+  setPassphrase: async () => {
+    const passphrase = document.getElementById('newPassphrase').value;
+    const confirmation = document.getElementById('confirmPassphrase').value;
+
+    if (passphrase.length < 8) {
+      StatusManager.error('Passphrase must be at least 8 characters');
+      return;
+    }
+    if (passphrase !== confirmation) {
+      StatusManager.error('Passphrases do not match');
+      return;
+    }
+
+    const wasEnabled = Vault.isEnabled();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await Vault.deriveKey(passphrase, salt);
+
+    Vault.config = {
+      salt: Utils.bytesToBase64(salt),
+      iterations: Vault.iterations,
+      check: await Vault.encrypt('kyntra', key)
+    };
+    Vault.key = key;
+
+    await DataStore.setMeta('lock', Vault.config);
+    await Vault.resave();
+
+    document.getElementById('newPassphrase').value = '';
+    document.getElementById('confirmPassphrase').value = '';
+    Vault.renderStatus();
+    Vault.resetTimer();
+    StatusManager.success(wasEnabled ? 'Passphrase changed' : 'Passphrase lock enabled - drafts and history are now encrypted');
+  },
+
+  // Turn the lock off and store data unencrypted again
+  removeLock: async () => {
+    if (!Vault.isEnabled() || Vault.isLocked()) return;
+    if (!confirm('Remove the passphrase lock? Drafts and history will be stored unencrypted.')) return;
+
+    Vault.key = null;
+    Vault.config = null;
+    clearTimeout(Vault.timer);
+
+    await DataStore.delete('meta', 'lock');
+    await Vault.resave();
+
+    Vault.renderStatus();
+    StatusManager.info('Passphrase lock removed');
+  },
+
+  // Lock now: save pending edits, then drop the key and everything decrypted
+  lock: async () => {
+    if (!Vault.isEnabled() || Vault.isLocked()) return;
+
+    clearTimeout(Vault.timer);
+    FormManager.saveFormData();
+    Vault.key = null;
+
+    DraftManager.drafts = {};
+    AppState.formData = {};
+    AppState.generatedReports = [];
+    AppState.lastReport = null;
+    PersonDirectory.people = {};
+    PersonDirectory.renderOptions();
+    Object.keys(ReportTypes.labels).forEach(reportType => FormManager.resetForm(reportType));
+    document.getElementById('reportOutput').textContent = OutputManager.placeholder;
+    document.getElementById('draftSelect').innerHTML = '';
+    ReportHistory.render();
+    ModalManager.closeAll();
+
+    await Vault.waitForUnlock();
+
+    // Reload decrypted data
+    await DraftManager.load();
+    await ReportHistory.load();
+    await PersonDirectory.load();
+    ReportHistory.render();
+    FormManager.loadFormData();
+    DraftManager.render();
+  },
+
+  // Show the unlock screen until the right passphrase is entered
+  waitForUnlock: () => {
+    const screen = document.getElementById('lockScreen');
+    screen.classList.add('active');
+    document.getElementById('unlockError').textContent = '';
+    document.getElementById('unlockPassphrase').focus();
+
+    return new Promise(resolve => {
+      Vault.unlockResolver = resolve;
+    });
+  },
+
+  // Check the passphrase typed on the unlock screen
+  submitUnlock: async () => {
+    const input = document.getElementById('unlockPassphrase');
+    const error = document.getElementById('unlockError');
+
+    try {
+      const salt = Utils.base64ToBytes(Vault.config.salt);
+      const key = await Vault.deriveKey(input.value, salt, Vault.config.iterations);
+      await Vault.decrypt(Vault.config.check, key);
+      Vault.key = key;
+    } catch (err) {
+      error.textContent = 'Incorrect passphrase';
+      input.select();
+      return;
+    }
+
+    input.value = '';
+    document.getElementById('lockScreen').classList.remove('active');
+    Vault.resetTimer();
+
+    if (Vault.unlockResolver) {
+      Vault.unlockResolver();
+      Vault.unlockResolver = null;
+    }
+  },
+
+  // Forgotten passphrase: delete encrypted data and remove the lock
+  reset: async () => {
+    if (!confirm('Delete all encrypted drafts, report history and person directory and remove the lock? This cannot be undone.')) return;
+
+    Vault.config = null;
+    await DataStore.delete('meta', 'lock');
+    await DataStore.replaceAll('drafts', []);
+    await DataStore.replaceAll('reports', []);
+    await DataStore.replaceAll('people', []);
+    PersonDirectory.people = {};
+
+    document.getElementById('lockScreen').classList.remove('active');
+    Vault.renderStatus();
+    StatusManager.warning('Encrypted data deleted and lock removed');
+
+    if (Vault.unlockResolver) {
+      Vault.unlockResolver();
+      Vault.unlockResolver = null;
+    }
+  },
+
+  // Restart the inactivity timer
+  resetTimer: () => {
+    clearTimeout(Vault.timer);
+    const minutes = Number(AppState.settings.security.autoLockMinutes);
+    if (!Vault.key || !minutes) return;
+
+    Vault.timer = setTimeout(() => {
+      Vault.lock();
+      StatusManager.info('Locked after inactivity');
+    }, minutes * 60 * 1000);
+  },
+
+  // Update lock controls in the header and settings
+  renderStatus: () => {
+    const enabled = Vault.isEnabled();
+
+    const button = document.getElementById('lockButton');
+    if (button) button.style.display = enabled ? '' : 'none';
+
+    const status = document.getElementById('lockStatus');
+    if (status) {
+      status.textContent = enabled
+        ? 'Passphrase lock is on. Drafts and report history are encrypted.'
+        : 'Passphrase lock is off. Drafts and report history are stored unencrypted.';
+    }
+
+    const setButton = document.getElementById('setPassphraseButton');
+    if (setButton) setButton.textContent = enabled ? 'Change Passphrase' : 'Enable Lock';
+
+    const removeButton = document.getElementById('removeLockButton');
+    if (removeButton) removeButton.style.display = enabled ? '' : 'none';
+  }
+};
+
 // ===== FORM MANAGEMENT =====
 const FormManager = {
   // Initialize form listeners
@@ -121,12 +883,88 @@ const FormManager = {
 
     // Auto-save form data
     const autoSave = Utils.debounce(() => {
-      FormManager.saveFormData();
+      if (AppState.settings.autoSave) FormManager.saveFormData();
     }, 1000);
 
+    // Highlight fields that differ from the saved draft
+    const markDirty = Utils.debounce(() => FormManager.markDirty(), 300);
+
     // Add input listeners for auto-save
     document.addEventListener('input', autoSave);
     document.addEventListener('change', autoSave);
+    document.addEventListener('input', markDirty);
+    document.addEventListener('change', markDirty);
+
+    // Warn before leaving with unsaved edits in any report opened this session
+    window.addEventListener('beforeunload', (e) => {
+      if (Object.keys(AppState.formData).some(reportType => FormManager.isDirty(reportType))) {
+        e.preventDefault();
+        e.returnValue = '';
+      }
+    });
+  },
+
+  // Tell listeners (auto-save, undo history, dirty tracking) that a section changed
+  notifyChange: (element) => {
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  },
+
+  // Fields whose values differ from the saved draft
+  getDirtyFields: (reportType = AppState.currentReport) => {
+    const saved = DraftManager.getActive(reportType).data || {};
+    const current = FormManager.getFormData(reportType);
+
+    return Object.keys(current).filter(key => {
+      const savedValue = saved[key] ?? (Array.isArray(current[key]) ? [] : '');
+      return JSON.stringify(current[key]) !== JSON.stringify(savedValue);
+    });
+  },
+
+  // Whether a report has edits that are not saved yet
+  isDirty: (reportType = AppState.currentReport) => {
+    if (!reportType || Vault.isLocked()) return false;
+    return FormManager.getDirtyFields(reportType).length > 0;
+  },
+
+  // Before switching away from the current report: save its edits, or ask first when auto-save is off.
+  // Returns false if the user chose to stay.
+  confirmLeave: () => {
+    if (AppState.settings.autoSave) {
+      FormManager.saveFormData();
+      return true;
+    }
+    if (!FormManager.isDirty()) return true;
+    if (!confirm('Save your unsaved changes to this report before leaving it?')) return false;
+
+    FormManager.saveFormData();
+    return true;
+  },
+
+  // Mark changed fields and show the unsaved indicator
+  markDirty: (reportType = AppState.currentReport) => {
+    const section = document.getElementById(reportType);
+    if (!section || Vault.isLocked()) return;
+
+    const dirty = FormManager.getDirtyFields(reportType);
+    section.querySelectorAll('.dirty').forEach(element => element.classList.remove('dirty'));
+
+    dirty.forEach(key => {
+      const container = {
+        officers: '#arrestingOfficers',
+        suspects: '#suspects',
+        evidenceItems: '.evidence-list',
+        witnessEntries: '.witness-list',
+        vehicles: '.vehicle-list'
+      }[key];
+      const element = section.querySelector(container || `#${key}`);
+      if (element) element.classList.add('dirty');
+    });
+
+    const indicator = document.getElementById('unsavedIndicator');
+    if (indicator) {
+      indicator.style.display = dirty.length > 0 ? '' : 'none';
+      indicator.textContent = `● ${dirty.length} unsaved change${dirty.length === 1 ? '' : 's'}`;
+    }
   },
 
   // Get form data for current report
@@ -167,6 +1005,24 @@ const FormManager = {
     formData.officers = FormManager.getDynamicFields('arrestingOfficers', 'officer-input');
     formData.suspects = FormManager.getDynamicFields('suspects', 'suspect-item');
 
+    // Evidence log, for report types that have one
+    const evidenceList = section.querySelector('.evidence-list');
+    if (evidenceList) {
+      formData.evidenceItems = FormManager.getEvidenceItems(evidenceList);
+    }
+
+    // Witnesses and victims, for report types that list them
+    const witnessList = section.querySelector('.witness-list');
+    if (witnessList) {
+      formData.witnessEntries = FormManager.getWitnessEntries(witnessList);
+    }
+
+    // Vehicles, for report types that list them
+    const vehicleList = section.querySelector('.vehicle-list');
+    if (vehicleList) {
+      formData.vehicles = FormManager.getVehicles(vehicleList);
+    }
+
     console.log('Final form data:', formData);
     return formData;
   },
@@ -198,7 +1054,7 @@ const FormManager = {
         });
         
         return { name, id, charges };
-      }).filter(suspect => suspect.name.trim() || suspect.id.trim());
+      }).filter(suspect => suspect.name.trim() || suspect.id.trim() || suspect.charges.length > 0);
     } else {
       // Handle officer items with single input
       const items = container.querySelectorAll(`.${inputClass}`);
@@ -206,22 +1062,97 @@ const FormManager = {
     }
   },
 
-  // Save form data to localStorage
+  // Get evidence items with their custody transfers
+  getEvidenceItems: (container) => {
+    const value = (element, selector) => (element.querySelector(selector)?.value || '').trim();
+
+    return Array.from(container.querySelectorAll('.evidence-item')).map(item => {
+      const custody = Array.from(item.querySelectorAll('.custody-item')).map(transfer => ({
+        dateTime: value(transfer, '.custody-time'),
+        from: value(transfer, '.custody-from'),
+        to: value(transfer, '.custody-to'),
+        purpose: value(transfer, '.custody-purpose')
+      })).filter(transfer => transfer.dateTime || transfer.from || transfer.to || transfer.purpose);
+
+      return {
+        number: value(item, '.evidence-number'),
+        description: value(item, '.evidence-description'),
+        location: value(item, '.evidence-location'),
+        collectedBy: value(item, '.evidence-collected-by'),
+        locker: value(item, '.evidence-locker'),
+        custody
+      };
+    }).filter(item => item.description || item.location || item.collectedBy || item.locker || item.custody.length > 0);
+  },
+
+  // Get witness, victim and complainant entries
+  getWitnessEntries: (container) => {
+    return Array.from(container.querySelectorAll('.witness-item'))
+      .map(FormManager.getWitnessEntry)
+      .filter(entry => entry.name || entry.contact || entry.statement);
+  },
+
+  // Get a single witness entry from its row
+  getWitnessEntry: (item) => {
+    const value = (selector) => (item.querySelector(selector)?.value || '').trim();
+    return {
+      name: value('.witness-name'),
+      role: value('.witness-role'),
+      contact: value('.witness-contact'),
+      statement: value('.witness-statement'),
+      interviewed: item.querySelector('.witness-interviewed').checked
+    };
+  },
+
+  // Get vehicle records
+  getVehicles: (container) => {
+    const value = (element, selector) => (element.querySelector(selector)?.value || '').trim();
+
+    return Array.from(container.querySelectorAll('.vehicle-item')).map(item => ({
+      plate: value(item, '.vehicle-plate'),
+      make: value(item, '.vehicle-make'),
+      model: value(item, '.vehicle-model'),
+      color: value(item, '.vehicle-color'),
+      vin: value(item, '.vehicle-vin'),
+      owner: value(item, '.vehicle-owner'),
+      impound: value(item, '.vehicle-impound')
+    })).filter(vehicle => Object.values(vehicle).some(Boolean));
+  },
+
+  // Save form data to the active draft
   saveFormData: () => {
-    const formData = FormManager.getFormData(AppState.currentReport);
-    AppState.formData[AppState.currentReport] = formData;
-    localStorage.setItem('kyntraFormData', JSON.stringify(AppState.formData));
+    if (Vault.isLocked()) return;
+
+    const reportType = AppState.currentReport;
+    const formData = FormManager.getFormData(reportType);
+    AppState.formData[reportType] = formData;
+    DraftManager.updateActive(reportType, formData, FormManager.shouldPersist(reportType));
+    FormManager.markDirty(reportType);
   },
 
-  // Load form data from localStorage
-  loadFormData: (reportType = AppState.currentReport) => {
-    const saved = localStorage.getItem('kyntraFormData');
-    if (saved) {
-      AppState.formData = JSON.parse(saved);
-      FormManager.populateForm(reportType);
+  // Confirm a manual save, unless the report is kept in memory only
+  reportSaved: (message) => {
+    if (FormManager.shouldPersist(AppState.currentReport)) {
+      StatusManager.success(message);
+    } else {
+      StatusManager.info('CI reports are not saved to storage - changes are kept for this session only');
     }
   },
 
+  // Whether a report type's drafts may be written to storage
+  shouldPersist: (reportType) => {
+    return !(reportType === 'ci-report' && AppState.settings.security.excludeCiFromAutoSave);
+  },
+
+  // Load form data from the active draft
+  loadFormData: (reportType = AppState.currentReport) => {
+    const draft = DraftManager.getActive(reportType);
+    AppState.formData[reportType] = draft.data;
+    FormManager.populateForm(reportType);
+    EditHistory.start(draft.id, FormManager.getFormData(reportType));
+    FormManager.markDirty(reportType);
+  },
+
   // Populate form with saved data
   populateForm: (reportType) => {
     const formData = AppState.formData[reportType] || {};
@@ -240,12 +1171,40 @@ const FormManager = {
         }
       }
     });
+
+    // Rebuild dynamic fields (officers, suspects and charges)
+    DynamicFields.populate(section, formData);
+    Validator.clear(reportType);
   },
 
   // Clear form
   clearForm: (reportType) => {
+    EditHistory.flush();
+    if (!FormManager.resetForm(reportType)) return;
+
+    FormManager.notifyChange(document.getElementById(reportType));
+    EditHistory.flush();
+
+    // Undo in the report and draft that were cleared, even if the user has moved on since
+    const draftId = DraftManager.getActive(reportType).id;
+    StatusManager.show('Form cleared successfully', 'success', 10000, {
+      label: 'Undo',
+      onClick: () => {
+        if (!DraftManager.getDrafts(reportType).some(draft => draft.id === draftId)) {
+          StatusManager.info('The cleared draft no longer exists');
+          return;
+        }
+        if (AppState.currentReport !== reportType && !Navigation.switchReport(reportType)) return;
+        if (DraftManager.getActive(reportType).id !== draftId) DraftManager.activate(draftId);
+        EditHistory.undo();
+      }
+    });
+  },
+
+  // Reset all inputs in a section without saving
+  resetForm: (reportType) => {
     const section = document.getElementById(reportType);
-    if (!section) return;
+    if (!section) return false;
 
     // Clear all inputs
     const inputs = section.querySelectorAll('input, textarea, select');
@@ -266,54 +1225,613 @@ const FormManager = {
       });
     });
 
-    StatusManager.success('Form cleared successfully');
+    // The first arresting officer goes back to the current user
+    const firstOfficer = section.querySelector('.officer-input');
+    if (firstOfficer) firstOfficer.value = OfficerRoster.getDefaultOfficer();
+
+    // Start the evidence log over at item 1 with no transfers
+    section.querySelectorAll('.evidence-item').forEach(item => {
+      item.querySelectorAll('.custody-item').forEach(transfer => transfer.remove());
+      item.querySelector('.evidence-number').value = '1';
+    });
+
+    Validator.clear(reportType);
+    return true;
   },
 
-  // Validate form
+  // Validate form against its schema and show any errors inline
   validateForm: (reportType) => {
-    console.log('Validating form for:', reportType);
-    const section = document.getElementById(reportType);
-    console.log('Section found:', !!section);
-    if (!section) return false;
+    const errors = Validator.validate(reportType, FormManager.getFormData(reportType));
+    Validator.show(reportType, errors);
 
-    // Only validate essential fields - allow partial form submission
-    const essentialFields = section.querySelectorAll('[data-essential="true"]');
-    console.log('Essential fields found:', essentialFields.length);
-    let isValid = true;
-    let emptyFields = [];
-
-    // Check essential fields if any exist
-    if (essentialFields.length > 0) {
-      essentialFields.forEach(field => {
-        console.log('Checking field:', field.id, 'value:', field.value);
-        if (!field.value.trim()) {
-          field.classList.add('error');
-          isValid = false;
-          emptyFields.push(field.previousElementSibling?.textContent || 'Required field');
-        } else {
-          field.classList.remove('error');
-        }
-      });
+    if (errors.length > 0) {
+      StatusManager.error(`Please fix ${errors.length} field${errors.length === 1 ? '' : 's'} before generating`);
+      return false;
+    }
+    return true;
+  }
+};
+
+// ===== UNDO / REDO =====
+// Snapshots of form data per draft; edits are grouped until typing pauses
+const EditHistory = {
+  limit: 100,
+  delay: 500,
+  stacks: {},
+  timer: null,
+
+  // Record edits made inside report sections
+  init: () => {
+    const schedule = (e) => {
+      if (!e.target.closest || !e.target.closest('.report-section')) return;
+      clearTimeout(EditHistory.timer);
+      EditHistory.timer = setTimeout(EditHistory.flush, EditHistory.delay);
+    };
+
+    document.addEventListener('input', schedule);
+    document.addEventListener('change', schedule);
+    EditHistory.renderButtons();
+  },
+
+  // Stack for the active draft of a report type
+  getStack: (reportType = AppState.currentReport) => {
+    return EditHistory.stacks[DraftManager.getActive(reportType).id];
+  },
+
+  // Begin tracking a draft (keeps existing history when returning to it)
+  start: (draftId, snapshot) => {
+    if (!EditHistory.stacks[draftId]) {
+      EditHistory.stacks[draftId] = { current: snapshot, undo: [], redo: [] };
+    }
+    EditHistory.renderButtons();
+  },
+
+  // Record the current form state if it changed
+  flush: () => {
+    clearTimeout(EditHistory.timer);
+    EditHistory.timer = null;
+
+    const reportType = AppState.currentReport;
+    const stack = reportType && !Vault.isLocked() && EditHistory.getStack(reportType);
+    if (!stack) return;
+
+    const snapshot = FormManager.getFormData(reportType);
+    if (JSON.stringify(snapshot) === JSON.stringify(stack.current)) return;
+
+    stack.undo.push(stack.current);
+    if (stack.undo.length > EditHistory.limit) stack.undo.shift();
+    stack.redo = [];
+    stack.current = snapshot;
+    EditHistory.renderButtons();
+  },
+
+  // Step back one edit
+  undo: () => {
+    EditHistory.flush();
+    const stack = EditHistory.getStack();
+    if (!stack || stack.undo.length === 0) {
+      StatusManager.info('Nothing to undo');
+      return;
+    }
+
+    stack.redo.push(stack.current);
+    stack.current = stack.undo.pop();
+    EditHistory.restore(stack.current);
+  },
+
+  // Re-apply an undone edit
+  redo: () => {
+    EditHistory.flush();
+    const stack = EditHistory.getStack();
+    if (!stack || stack.redo.length === 0) {
+      StatusManager.info('Nothing to redo');
+      return;
+    }
+
+    stack.undo.push(stack.current);
+    stack.current = stack.redo.pop();
+    EditHistory.restore(stack.current);
+  },
+
+  // Put a snapshot back into the form
+  restore: (snapshot) => {
+    const reportType = AppState.currentReport;
+    FormManager.resetForm(reportType);
+    AppState.formData[reportType] = Utils.clone(snapshot);
+    FormManager.populateForm(reportType);
+
+    if (AppState.settings.autoSave) {
+      FormManager.saveFormData();
+    } else {
+      FormManager.markDirty(reportType);
+    }
+    EditHistory.renderButtons();
+  },
+
+  // Enable or disable the undo/redo buttons
+  renderButtons: () => {
+    const stack = AppState.currentReport && EditHistory.getStack();
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
+
+    if (undoButton) undoButton.disabled = !stack || stack.undo.length === 0;
+    if (redoButton) redoButton.disabled = !stack || stack.redo.length === 0;
+  }
+};
 
-      if (!isValid) {
-        console.log('Essential fields validation failed:', emptyFields);
-        StatusManager.error(`Please fill in essential fields: ${emptyFields.join(', ')}`);
-        return false;
+// ===== VALIDATION =====
+const Validator = {
+  // Errors currently shown, per report type
+  errors: {},
+
+  // Field formats: test returns true when the value is acceptable
+  formats: {
+    caseNumber: {
+      test: (value) => Utils.validateCaseNumber(value),
+      message: () => `Must be in format ${CaseNumbering.describeFormat()}`
+    },
+    plate: {
+      test: (value) => /^[A-Z0-9][A-Z0-9 -]{0,7}$/i.test(value),
+      message: 'Must be 1-8 letters, numbers, spaces or dashes'
+    },
+    license: {
+      test: (value) => /^[A-Z0-9][A-Z0-9-]{3,15}$/i.test(value),
+      message: 'Must be 4-16 letters, numbers or dashes'
+    },
+    dob: {
+      test: (value) => {
+        const date = Validator.parseDate(value);
+        if (!date || date > new Date()) return false;
+        return new Date().getFullYear() - date.getFullYear() <= 120;
+      },
+      message: 'Must be a valid date in the past'
+    },
+    notFuture: {
+      test: (value) => {
+        const date = Validator.parseDate(value);
+        return !!date && date <= new Date();
+      },
+      message: 'Cannot be in the future'
+    }
+  },
+
+  // Per report type: field rules, plus cross-field checks returning [{ field, message }]
+  schemas: {
+    'arrest': {
+      fields: {
+        arrestDateTime: { required: true, format: 'notFuture' },
+        arrestLocation: { required: true }
+      },
+      checks: [(formData) => Validator.checkPlates(formData, 'arrestVehicles')]
+    },
+    'citation': {
+      fields: {
+        citationDateTime: { required: true, format: 'notFuture' },
+        citationLocation: { required: true },
+        offenderName: { required: true },
+        offenderDOB: { format: 'dob' },
+        offenderLicense: { format: 'license' }
+      },
+      checks: [(formData) => Validator.checkPlates(formData, 'citationVehicles')]
+    },
+    'case-opening': {
+      fields: {
+        caseNumber: { required: true, format: 'caseNumber' },
+        caseName: { required: true }
       }
+    },
+    'investigative-update': {
+      fields: {
+        updateCaseNumber: { required: true, format: 'caseNumber' },
+        updateDateTime: { required: true }
+      }
+    },
+    'interview': {
+      fields: {
+        interviewCaseNumber: { required: true, format: 'caseNumber' },
+        interviewDateTime: { required: true },
+        intervieweeName: { required: true }
+      }
+    },
+    'ci-report': {
+      fields: {
+        ciCaseNumber: { required: true, format: 'caseNumber' },
+        ciIdentifier: { required: true }
+      }
+    },
+    'warrant': {
+      fields: {
+        warrantCaseNumber: { required: true, format: 'caseNumber' }
+      },
+      checks: [
+        (formData) => {
+          const needsLocation = formData.warrantType === 'search' || formData.warrantType === 'both';
+          if (needsLocation && !(formData.targetLocation || '').trim()) {
+            return [{ field: 'targetLocation', message: 'Required for search warrants' }];
+          }
+          return [];
+        },
+        (formData) => Validator.checkPlates(formData, 'warrantVehicles')
+      ]
+    },
+    'case-closure': {
+      fields: {
+        closureCaseNumber: { required: true, format: 'caseNumber' }
+      },
+      checks: [
+        (formData) => {
+          const closed = Validator.parseDate(formData.closureDate);
+          const dateOpened = Validator.getDateOpened(formData.closureCaseNumber);
+          const opened = Validator.parseDate(dateOpened);
+          if (closed && opened && closed < opened) {
+            return [{ field: 'closureDate', message: `Cannot be before the case was opened (${dateOpened})` }];
+          }
+          return [];
+        }
+      ]
+    }
+  },
+
+  // Clear a field's error as soon as it is edited
+  init: () => {
+    const clearField = (e) => {
+      const field = e.target;
+      const section = field.closest('.report-section');
+      if (!section || !field.id || !field.classList.contains('error')) return;
+
+      const errors = (Validator.errors[section.id] || []).filter(error => error.field !== field.id);
+      Validator.show(section.id, errors);
+    };
+
+    document.addEventListener('input', clearField);
+    document.addEventListener('change', clearField);
+  },
+
+  // Parse a date or datetime-local value (date-only values are local midnight)
+  parseDate: (value) => {
+    if (!value) return null;
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00`) : new Date(value);
+    return isNaN(date) ? null : date;
+  },
+
+  // Opening date for a case from the registry, or from the case opening draft
+  getDateOpened: (caseNumber) => {
+    const record = CaseRegistry.get(caseNumber);
+    if (record && record.dateOpened) return record.dateOpened;
+
+    const draft = DraftManager.getActive('case-opening').data || {};
+    if (draft.dateOpened && CaseRegistry.normalize(draft.caseNumber) === CaseRegistry.normalize(caseNumber)) {
+      return draft.dateOpened;
     }
+    return '';
+  },
+
+  // Check plates in a vehicle list; errors are shown on the list container
+  checkPlates: (formData, field) => {
+    const invalid = (formData.vehicles || [])
+      .map((vehicle, index) => ({ plate: vehicle.plate, number: index + 1 }))
+      .filter(vehicle => vehicle.plate && !Validator.formats.plate.test(vehicle.plate));
+    if (invalid.length === 0) return [];
 
-    // Special validation for case numbers (only if filled)
-    const caseNumberFields = section.querySelectorAll('[pattern="CID-\\d+-SO"]');
-    caseNumberFields.forEach(field => {
-      if (field.value && !Utils.validateCaseNumber(field.value)) {
-        field.classList.add('error');
-        isValid = false;
-        StatusManager.error('Case number must be in format: CID-ReportNumber-SO');
+    const which = invalid.map(vehicle => `vehicle ${vehicle.number}`).join(', ');
+    return [{ field, message: `Plate for ${which}: ${Validator.formats.plate.message}` }];
+  },
+
+  // Check form data against the report type's schema
+  validate: (reportType, formData) => {
+    const schema = Validator.schemas[reportType] || { fields: {} };
+    const errors = [];
+
+    Object.entries(schema.fields).forEach(([field, rules]) => {
+      const value = String(formData[field] ?? '').trim();
+
+      if (!value) {
+        if (rules.required) errors.push({ field, message: 'This field is required' });
+        return;
+      }
+
+      const format = Validator.formats[rules.format];
+      if (format && !format.test(value)) {
+        const message = typeof format.message === 'function' ? format.message() : format.message;
+        errors.push({ field, message });
       }
     });
 
-    console.log('Validation result:', isValid);
-    return isValid;
+    (schema.checks || []).forEach(check => {
+      check(formData).forEach(error => {
+        if (!errors.some(existing => existing.field === error.field)) errors.push(error);
+      });
+    });
+
+    return errors;
+  },
+
+  // Label text for a field
+  getLabel: (reportType, field) => {
+    const label = document.querySelector(`#${reportType} label[for="${field}"]`);
+    return label ? label.textContent.trim() : field;
+  },
+
+  // Mark invalid fields inline and update the summary panel
+  show: (reportType, errors) => {
+    Validator.errors[reportType] = errors;
+    const section = document.getElementById(reportType);
+    if (!section) return;
+
+    section.querySelectorAll('.field-error').forEach(message => message.remove());
+    section.querySelectorAll('.error').forEach(field => field.classList.remove('error'));
+
+    errors.forEach(error => {
+      const field = section.querySelector(`#${error.field}`);
+      if (!field) return;
+
+      field.classList.add('error');
+      const message = document.createElement('small');
+      message.className = 'field-error';
+      message.textContent = error.message;
+      field.insertAdjacentElement('afterend', message);
+    });
+
+    Validator.renderSummary(reportType);
+  },
+
+  // Remove all errors for a report type
+  clear: (reportType) => {
+    Validator.show(reportType, []);
+  },
+
+  // List errors for the current report with links to each field
+  renderSummary: (reportType = AppState.currentReport) => {
+    const panel = document.getElementById('validationSummary');
+    if (!panel) return;
+
+    const errors = Validator.errors[reportType] || [];
+    if (errors.length === 0) {
+      panel.style.display = 'none';
+      panel.innerHTML = '';
+      return;
+    }
+
+    panel.style.display = 'block';
+    panel.innerHTML = `
+      <strong>${errors.length} field${errors.length === 1 ? ' needs' : 's need'} attention</strong>
+      <ul>
+        ${errors.map(error => `
+          <li>
+            <a href="#${error.field}" data-field="${error.field}" onclick="Validator.focusField(this.dataset.field); return false;">${Utils.escapeHtml(Validator.getLabel(reportType, error.field))}</a>:
+            ${Utils.escapeHtml(error.message)}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  },
+
+  // Scroll to and focus an invalid field in the current report
+  focusField: (field) => {
+    const element = document.querySelector(`#${AppState.currentReport} #${field}`);
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.focus();
+  }
+};
+
+// ===== DRAFT MANAGEMENT =====
+const DraftManager = {
+  drafts: {},
+
+  // Load drafts and hook up the draft selector
+  init: async () => {
+    await DraftManager.load();
+
+    const select = document.getElementById('draftSelect');
+    if (select) {
+      select.addEventListener('change', (e) => DraftManager.activate(e.target.value));
+    }
+  },
+
+  // Load drafts from storage, grouped by report type
+  load: async () => {
+    const [drafts, activeDrafts] = await Promise.all([
+      DataStore.getAll('drafts'),
+      DataStore.getMeta('activeDrafts', {})
+    ]);
+
+    DraftManager.drafts = {};
+    drafts
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach(draft => DraftManager.getStore(draft.reportType).drafts.push(draft));
+
+    Object.entries(activeDrafts).forEach(([reportType, id]) => {
+      DraftManager.getStore(reportType).activeId = id;
+    });
+  },
+
+  // Replace all stored drafts with the in-memory set
+  save: () => {
+    const drafts = Object.entries(DraftManager.drafts)
+      .filter(([reportType]) => FormManager.shouldPersist(reportType))
+      .flatMap(([reportType, store]) => store.drafts.map(draft => {
+        draft.reportType = reportType;
+        return draft;
+      }));
+
+    return Promise.all([DataStore.replaceAll('drafts', drafts), DraftManager.saveActive()]);
+  },
+
+  // Persist a single draft (CI drafts stay in memory when excluded from auto-save)
+  saveDraft: (draft) => {
+    if (!FormManager.shouldPersist(draft.reportType)) return;
+    DataStore.put('drafts', draft);
+  },
+
+  // Persist which draft is active for each report type
+  saveActive: () => {
+    const activeDrafts = {};
+    Object.entries(DraftManager.drafts).forEach(([reportType, store]) => {
+      if (store.activeId) activeDrafts[reportType] = store.activeId;
+    });
+    return DataStore.setMeta('activeDrafts', activeDrafts);
+  },
+
+  // Get the draft store for a report type
+  getStore: (reportType) => {
+    if (!DraftManager.drafts[reportType]) {
+      DraftManager.drafts[reportType] = { activeId: null, drafts: [] };
+    }
+    return DraftManager.drafts[reportType];
+  },
+
+  // Get all drafts for a report type
+  getDrafts: (reportType) => {
+    return DraftManager.getStore(reportType).drafts;
+  },
+
+  // Get the active draft for a report type, creating one if needed
+  getActive: (reportType) => {
+    const store = DraftManager.getStore(reportType);
+    let draft = store.drafts.find(d => d.id === store.activeId);
+
+    if (!draft) {
+      draft = store.drafts[store.drafts.length - 1] || DraftManager.addDraft(reportType, 'Draft 1');
+      store.activeId = draft.id;
+      DraftManager.saveActive();
+    }
+
+    return draft;
+  },
+
+  // Add a new draft to a report type
+  addDraft: (reportType, name, data = {}) => {
+    const now = new Date().toISOString();
+    const initial = Object.keys(data).length > 0 ? data : OfficerRoster.getDefaults(reportType);
+    const draft = { id: Utils.generateId(), reportType, name, data: Utils.clone(initial), createdAt: now, updatedAt: now };
+    DraftManager.getStore(reportType).drafts.push(draft);
+    DraftManager.saveDraft(draft);
+    return draft;
+  },
+
+  // Next unused "Draft N" name for a report type
+  nextName: (reportType) => {
+    const names = DraftManager.getDrafts(reportType).map(d => d.name);
+    let n = names.length + 1;
+    while (names.includes(`Draft ${n}`)) n++;
+    return `Draft ${n}`;
+  },
+
+  // Save form data into the active draft (used by auto-save)
+  updateActive: (reportType, data, persist = true) => {
+    const draft = DraftManager.getActive(reportType);
+    if (JSON.stringify(draft.data) === JSON.stringify(data)) return;
+
+    draft.data = Utils.clone(data);
+    draft.updatedAt = new Date().toISOString();
+    if (persist) DraftManager.saveDraft(draft);
+    DraftManager.renderUpdated();
+  },
+
+  // Switch the current report to another draft
+  activate: (id) => {
+    const reportType = AppState.currentReport;
+    const store = DraftManager.getStore(reportType);
+    if (!store.drafts.some(d => d.id === id)) return;
+
+    // Keep edits in the draft being left
+    FormManager.saveFormData();
+
+    store.activeId = id;
+    DraftManager.saveActive();
+    FormManager.resetForm(reportType);
+    FormManager.loadFormData(reportType);
+    DraftManager.render();
+    Validator.renderSummary(reportType);
+  },
+
+  // Create a new draft for the current report and switch to it
+  create: (name, data = {}) => {
+    const reportType = AppState.currentReport;
+    FormManager.saveFormData();
+
+    const draft = DraftManager.addDraft(reportType, name || DraftManager.nextName(reportType), data);
+    DraftManager.activate(draft.id);
+    return draft;
+  },
+
+  // Copy the active draft into a new draft
+  duplicate: () => {
+    const reportType = AppState.currentReport;
+    FormManager.saveFormData();
+
+    const active = DraftManager.getActive(reportType);
+    DraftManager.create(`${active.name} (copy)`, active.data);
+    StatusManager.success('Draft duplicated');
+  },
+
+  // Rename the active draft
+  rename: () => {
+    const draft = DraftManager.getActive(AppState.currentReport);
+    const name = prompt('Draft name:', draft.name);
+    if (!name || !name.trim()) return;
+
+    draft.name = name.trim();
+    draft.updatedAt = new Date().toISOString();
+    DraftManager.saveDraft(draft);
+    DraftManager.render();
+  },
+
+  // Delete the active draft and switch to another one
+  remove: () => {
+    const reportType = AppState.currentReport;
+    const store = DraftManager.getStore(reportType);
+    const draft = DraftManager.getActive(reportType);
+    if (!confirm(`Delete draft "${draft.name}"?`)) return;
+
+    store.drafts = store.drafts.filter(d => d.id !== draft.id);
+    store.activeId = null;
+
+    const next = DraftManager.getActive(reportType);
+    store.activeId = next.id;
+    DataStore.delete('drafts', draft.id);
+    DraftManager.saveActive();
+
+    FormManager.resetForm(reportType);
+    FormManager.loadFormData(reportType);
+    DraftManager.render();
+    StatusManager.info('Draft deleted');
+  },
+
+  // Render the draft selector for the current report
+  render: () => {
+    const select = document.getElementById('draftSelect');
+    if (!select) return;
+
+    const reportType = AppState.currentReport;
+    const active = DraftManager.getActive(reportType);
+
+    select.innerHTML = DraftManager.getDrafts(reportType)
+      .slice()
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(draft => `
+        <option value="${draft.id}">${Utils.escapeHtml(draft.name)} — ${Utils.escapeHtml(Utils.formatDate(draft.updatedAt))}</option>
+      `).join('');
+    select.value = active.id;
+
+    DraftManager.renderUpdated();
+  },
+
+  // Show the active draft's last-modified time
+  renderUpdated: () => {
+    const label = document.getElementById('draftUpdated');
+    if (!label) return;
+
+    const reportType = AppState.currentReport;
+    const active = DraftManager.getActive(reportType);
+    if (!FormManager.shouldPersist(reportType)) {
+      label.textContent = 'Auto-save is off for CI reports';
+    } else {
+      const prefix = AppState.settings.autoSave ? '' : 'Auto-save off · ';
+      label.textContent = `${prefix}Last saved ${Utils.formatDate(active.updatedAt)}`;
+    }
   }
 };
 
@@ -322,6 +1840,7 @@ const Navigation = {
   // Switch between report types
   switchReport: (reportType) => {
     console.log('Switching to report:', reportType);
+    if (reportType !== AppState.currentReport && !FormManager.confirmLeave()) return false;
     
     // Update active state for navigation buttons
     document.querySelectorAll('.nav-btn').forEach(btn => {
@@ -352,272 +1871,4826 @@ const Navigation = {
     
     // Load saved form data for this report
     FormManager.loadFormData(reportType);
-    
+    DraftManager.render();
+    Validator.renderSummary(reportType);
+    EditHistory.renderButtons();
+    Narrative.renderButton();
+
     // Show status message
     StatusManager.info(`Switched to ${reportType.replace('-', ' ')} report`);
+    return true;
+  },
+
+  // Start a new interview draft prefilled from a witness list entry
+  startInterview: (item) => {
+    const entry = FormManager.getWitnessEntry(item);
+    if (!entry.name) {
+      StatusManager.warning('Enter a name before starting an interview');
+      return;
+    }
+
+    // Leaving the report saves the entry (or asks, with auto-save off)
+    if (!Navigation.switchReport('interview')) return;
+
+    const keyPoints = [];
+    if (entry.contact) keyPoints.push(`Contact: ${entry.contact}`);
+    if (entry.statement) keyPoints.push(`Initial statement: ${entry.statement}`);
+
+    DraftManager.create(`Interview: ${entry.name}`, {
+      intervieweeName: entry.name,
+      interviewType: entry.role,
+      keyPoints: keyPoints.join('\n')
+    });
+    StatusManager.success(`Interview report started for ${entry.name}`);
   }
 };
 
-// ===== DYNAMIC FIELD MANAGEMENT =====
-const DynamicFields = {
-  // Add officer field
-  addOfficer: () => {
-    const container = document.getElementById('arrestingOfficers');
-    const fieldItem = document.createElement('div');
-    fieldItem.className = 'field-item';
-    fieldItem.innerHTML = `
-      <input type="text" placeholder="Officer Name / Badge" class="officer-input">
-      <button class="remove-btn" onclick="DynamicFields.removeField(this)">×</button>
-    `;
-    container.appendChild(fieldItem);
-    
-    // Focus on new field
-    fieldItem.querySelector('input').focus();
+// ===== CHARGE CATALOG =====
+// Fines are in dollars and jail time in months
+const ChargeCatalog = {
+  storageKey: 'kyntraChargeCatalog',
+  catalog: null,
+
+  // Catalog used until a custom one is loaded
+  defaultCatalog: {
+    name: 'Default Penal Code',
+    version: '1.0',
+    charges: [
+      { code: 'PC 101', title: 'Assault', class: 'misdemeanor', fine: 1000, jailTime: 10 },
+      { code: 'PC 102', title: 'Assault with a Deadly Weapon', class: 'felony', fine: 3500, jailTime: 30 },
+      { code: 'PC 103', title: 'Battery', class: 'misdemeanor', fine: 1500, jailTime: 15 },
+      { code: 'PC 104', title: 'Aggravated Battery', class: 'felony', fine: 4000, jailTime: 35 },
+      { code: 'PC 110', title: 'Kidnapping', class: 'felony', fine: 5000, jailTime: 40 },
+      { code: 'PC 120', title: 'Murder', class: 'felony', fine: 10000, jailTime: 120 },
+      { code: 'PC 121', title: 'Manslaughter', class: 'felony', fine: 7500, jailTime: 60 },
+      { code: 'PC 201', title: 'Petty Theft', class: 'misdemeanor', fine: 500, jailTime: 5 },
+      { code: 'PC 202', title: 'Grand Theft', class: 'felony', fine: 2500, jailTime: 20 },
+      { code: 'PC 203', title: 'Grand Theft Auto', class: 'felony', fine: 3000, jailTime: 25 },
+      { code: 'PC 204', title: 'Burglary', class: 'felony', fine: 3000, jailTime: 25 },
+      { code: 'PC 205', title: 'Robbery', class: 'felony', fine: 4000, jailTime: 30 },
+      { code: 'PC 206', title: 'Armed Robbery', class: 'felony', fine: 6000, jailTime: 45 },
+      { code: 'PC 301', title: 'Possession of a Controlled Substance', class: 'misdemeanor', fine: 1000, jailTime: 10 },
+      { code: 'PC 302', title: 'Possession with Intent to Distribute', class: 'felony', fine: 4000, jailTime: 30 },
+      { code: 'PC 401', title: 'Resisting Arrest', class: 'misdemeanor', fine: 1000, jailTime: 10 },
+      { code: 'PC 402', title: 'Evading a Peace Officer', class: 'misdemeanor', fine: 1500, jailTime: 15 },
+      { code: 'PC 403', title: 'Obstruction of Justice', class: 'misdemeanor', fine: 1000, jailTime: 10 },
+      { code: 'PC 501', title: 'Unlawful Possession of a Firearm', class: 'felony', fine: 3000, jailTime: 25 },
+      { code: 'PC 502', title: 'Brandishing a Firearm', class: 'misdemeanor', fine: 1500, jailTime: 15 },
+      { code: 'VC 101', title: 'Reckless Driving', class: 'misdemeanor', fine: 1000, jailTime: 5 },
+      { code: 'VC 102', title: 'Driving Under the Influence', class: 'misdemeanor', fine: 1500, jailTime: 10 },
+      { code: 'VC 201', title: 'Speeding', class: 'infraction', fine: 250, jailTime: 0 },
+      { code: 'VC 202', title: 'Running a Red Light', class: 'infraction', fine: 200, jailTime: 0 },
+      { code: 'VC 203', title: 'Driving Without a License', class: 'infraction', fine: 500, jailTime: 0 }
+    ]
+  },
+
+  // Load the saved catalog (or the default) and fill the autocomplete list
+  init: () => {
+    ChargeCatalog.catalog = Utils.readStorage(ChargeCatalog.storageKey, null) || Utils.clone(ChargeCatalog.defaultCatalog);
+    ChargeCatalog.renderOptions();
+  },
+
+  // Replace the current catalog and persist it
+  load: (catalog) => {
+    ChargeCatalog.catalog = Utils.clone(catalog);
+    Utils.writeStorage(ChargeCatalog.storageKey, ChargeCatalog.catalog);
+    ChargeCatalog.renderOptions();
+  },
+
+  // Go back to the default catalog
+  reset: () => {
+    ChargeCatalog.catalog = Utils.clone(ChargeCatalog.defaultCatalog);
+    localStorage.removeItem(ChargeCatalog.storageKey);
+    ChargeCatalog.renderOptions();
+  },
+
+  // All charges in the current catalog
+  getCharges: () => {
+    return ChargeCatalog.catalog ? ChargeCatalog.catalog.charges : [];
+  },
+
+  // Reduce text to uppercase letters and digits for matching
+  normalizeKey: (text) => {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  },
+
+  // Find the catalog charge matching free-text input (code, title or "code - title")
+  find: (description) => {
+    const key = ChargeCatalog.normalizeKey(description);
+    if (!key) return null;
+
+    return ChargeCatalog.getCharges().find(charge => {
+      const code = ChargeCatalog.normalizeKey(charge.code);
+      const title = ChargeCatalog.normalizeKey(charge.title);
+
+      if (key === code || key === title || key === code + title) return true;
+      // "PC 205 Robbery" style input: code followed by anything but more digits
+      return key.startsWith(code) && !/\d/.test(key.charAt(code.length));
+    }) || null;
+  },
+
+  // Display text for a catalog charge
+  formatCharge: (charge) => {
+    const chargeClass = charge.class ? ` (${charge.class.charAt(0).toUpperCase()}${charge.class.slice(1)})` : '';
+    return `${charge.code} - ${charge.title}${chargeClass}`;
+  },
+
+  // Normalize charge text against the catalog, leaving unknown charges as typed
+  normalize: (description) => {
+    const charge = ChargeCatalog.find(description);
+    return charge ? ChargeCatalog.formatCharge(charge) : description;
+  },
+
+  // Total fines and jail time for a list of { description, count } charges
+  getTotals: (charges = []) => {
+    return charges.reduce((totals, item) => {
+      const charge = ChargeCatalog.find(item.description);
+      if (charge) {
+        const count = item.count || 1;
+        totals.fine += (Number(charge.fine) || 0) * count;
+        totals.jailTime += (Number(charge.jailTime) || 0) * count;
+        totals.matched++;
+      }
+      return totals;
+    }, { fine: 0, jailTime: 0, matched: 0 });
+  },
+
+  // Charge classes accepted in imported catalogs
+  classes: ['felony', 'misdemeanor', 'infraction'],
+
+  // Fields compared when diffing catalogs
+  diffFields: ['title', 'class', 'fine', 'jailTime'],
+
+  // Parse a JSON catalog file
+  parseJson: (text) => {
+    const data = JSON.parse(text);
+    return {
+      name: data.name,
+      version: data.version,
+      charges: Array.isArray(data.charges) ? data.charges : []
+    };
+  },
+
+  // Parse a CSV catalog file: "# name:" / "# version:" lines, then a header row
+  parseCsv: (text) => {
+    const catalog = { name: '', version: '', charges: [] };
+    const dataLines = [];
+
+    text.split(/\r?\n/).forEach(line => {
+      const meta = line.match(/^#\s*(name|version)\s*:\s*(.*?)[\s,]*$/i);
+      if (meta) {
+        catalog[meta[1].toLowerCase()] = meta[2];
+      } else if (!line.startsWith('#')) {
+        dataLines.push(line);
+      }
+    });
+
+    const [header = [], ...rows] = Utils.parseCsv(dataLines.join('\n'));
+    const columns = header.map(column => column.trim().toLowerCase());
+    const column = (name) => columns.indexOf(name.toLowerCase());
+
+    catalog.charges = rows.map(row => ({
+      code: row[column('code')],
+      title: row[column('title')],
+      class: row[column('class')],
+      fine: row[column('fine')],
+      jailTime: row[column('jailTime')]
+    }));
+
+    return catalog;
+  },
+
+  // Validate and clean an imported catalog, returning any problems found
+  validate: (catalog) => {
+    const errors = [];
+    const seen = new Set();
+
+    if (!catalog.version || !String(catalog.version).trim()) {
+      errors.push('Catalog is missing a version');
+    }
+
+    const charges = catalog.charges.map((charge, index) => {
+      const row = index + 1;
+      const cleaned = {
+        code: String(charge.code || '').trim(),
+        title: String(charge.title || '').trim(),
+        class: String(charge.class || '').trim().toLowerCase(),
+        fine: Number(charge.fine || 0),
+        jailTime: Number(charge.jailTime || 0)
+      };
+
+      if (!cleaned.code || !cleaned.title) {
+        errors.push(`Charge ${row}: code and title are required`);
+      }
+      if (cleaned.class && !ChargeCatalog.classes.includes(cleaned.class)) {
+        errors.push(`Charge ${row} (${cleaned.code}): unknown class "${cleaned.class}"`);
+      }
+      if (!Number.isFinite(cleaned.fine) || cleaned.fine < 0 || !Number.isFinite(cleaned.jailTime) || cleaned.jailTime < 0) {
+        errors.push(`Charge ${row} (${cleaned.code}): fine and jail time must be positive numbers`);
+      }
+
+      const key = ChargeCatalog.normalizeKey(cleaned.code);
+      if (key && seen.has(key)) {
+        errors.push(`Charge ${row}: duplicate code ${cleaned.code}`);
+      }
+      seen.add(key);
+
+      return cleaned;
+    });
+
+    if (charges.length === 0) {
+      errors.push('Catalog contains no charges');
+    }
+
+    return {
+      catalog: { name: String(catalog.name || '').trim() || 'Imported Catalog', version: String(catalog.version || '').trim(), charges },
+      errors
+    };
+  },
+
+  // Compare two catalogs by charge code
+  diff: (current, incoming) => {
+    const byCode = (catalog) => new Map(catalog.charges.map(charge => [ChargeCatalog.normalizeKey(charge.code), charge]));
+    const currentCharges = byCode(current);
+    const incomingCharges = byCode(incoming);
+    const result = { added: [], removed: [], changed: [] };
+
+    incomingCharges.forEach((charge, key) => {
+      const existing = currentCharges.get(key);
+      if (!existing) {
+        result.added.push(charge);
+        return;
+      }
+
+      const changes = ChargeCatalog.diffFields
+        .filter(field => String(existing[field] ?? '') !== String(charge[field] ?? ''))
+        .map(field => ({ field, from: existing[field], to: charge[field] }));
+
+      if (changes.length > 0) {
+        result.changed.push({ charge, changes });
+      }
+    });
+
+    currentCharges.forEach((charge, key) => {
+      if (!incomingCharges.has(key)) {
+        result.removed.push(charge);
+      }
+    });
+
+    return result;
+  },
+
+  // Compare dotted version strings numerically (-1, 0 or 1)
+  compareVersions: (a, b) => {
+    const partsA = String(a || '').split('.').map(n => parseInt(n, 10) || 0);
+    const partsB = String(b || '').split('.').map(n => parseInt(n, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff > 0 ? 1 : -1;
+    }
+    return 0;
+  },
+
+  // Export the current catalog as JSON text
+  toJson: () => {
+    return JSON.stringify(ChargeCatalog.catalog, null, 2);
+  },
+
+  // Export the current catalog as CSV text
+  toCsv: () => {
+    const { name, version, charges } = ChargeCatalog.catalog;
+    const rows = [
+      ['code', 'title', 'class', 'fine', 'jailTime'],
+      ...charges.map(charge => [charge.code, charge.title, charge.class, charge.fine, charge.jailTime])
+    ];
+    return `# name: ${name}\n# version: ${version}\n${Utils.toCsv(rows)}\n`;
+  },
+
+  // Fill the datalist used to autocomplete charge inputs
+  renderOptions: () => {
+    const datalist = document.getElementById('chargeCatalogOptions');
+    if (!datalist) return;
+
+    datalist.innerHTML = ChargeCatalog.getCharges().map(charge => `
+      <option value="${Utils.escapeHtml(`${charge.code} - ${charge.title}`)}">${Utils.escapeHtml(`${charge.class || ''} · $${Number(charge.fine || 0).toLocaleString('en-US')} · ${charge.jailTime || 0} months`)}</option>
+    `).join('');
+  }
+};
+
+// ===== CHARGE CATALOG MANAGER =====
+const CatalogManager = {
+  pending: null,
+
+  // Open the catalog manager
+  open: () => {
+    CatalogManager.pending = null;
+    CatalogManager.render();
+    ModalManager.open('catalogManager');
+  },
+
+  // Render current catalog or pending import diff
+  render: () => {
+    const { catalog } = ChargeCatalog;
+    document.getElementById('catalogSummary').textContent =
+      `${catalog.name} · version ${catalog.version || 'n/a'} · ${catalog.charges.length} charges`;
+
+    const diffView = document.getElementById('catalogDiff');
+    const table = document.getElementById('catalogTable');
+
+    if (CatalogManager.pending) {
+      diffView.style.display = 'block';
+      table.style.display = 'none';
+      CatalogManager.renderDiff();
+      return;
+    }
+
+    diffView.style.display = 'none';
+    table.style.display = 'block';
+    table.innerHTML = `
+      <table class="data-table">
+        <thead><tr><th>Code</th><th>Title</th><th>Class</th><th>Fine</th><th>Jail (months)</th></tr></thead>
+        <tbody>
+          ${catalog.charges.map(charge => `
+            <tr>
+              <td>${Utils.escapeHtml(charge.code)}</td>
+              <td>${Utils.escapeHtml(charge.title)}</td>
+              <td>${Utils.escapeHtml(charge.class)}</td>
+              <td>$${Utils.escapeHtml(Number(charge.fine || 0).toLocaleString('en-US'))}</td>
+              <td>${Utils.escapeHtml(charge.jailTime)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  },
+
+  // Render added, removed and changed charges for a pending import
+  renderDiff: () => {
+    const { catalog, diff } = CatalogManager.pending;
+    const current = ChargeCatalog.catalog;
+    const versionOrder = ChargeCatalog.compareVersions(catalog.version, current.version);
+    const versionNote = versionOrder < 0
+      ? '<p class="diff-warning">Incoming version is older than the current catalog.</p>'
+      : versionOrder === 0 ? '<p class="diff-warning">Incoming catalog has the same version as the current one.</p>' : '';
+
+    const list = (items, className, describe) => items.length === 0
+      ? '<p class="field-hint">None</p>'
+      : `<ul class="diff-list">${items.map(item => `<li class="${className}">${describe(item)}</li>`).join('')}</ul>`;
+
+    const describeCharge = (charge) => Utils.escapeHtml(ChargeCatalog.formatCharge(charge));
+
+    document.getElementById('catalogDiff').innerHTML = `
+      <p><strong>${Utils.escapeHtml(current.name)}</strong> v${Utils.escapeHtml(current.version || 'n/a')}
+        → <strong>${Utils.escapeHtml(catalog.name)}</strong> v${Utils.escapeHtml(catalog.version)}</p>
+      ${versionNote}
+      <h4>Added (${diff.added.length})</h4>
+      ${list(diff.added, 'diff-added', describeCharge)}
+      <h4>Removed (${diff.removed.length})</h4>
+      ${list(diff.removed, 'diff-removed', describeCharge)}
+      <h4>Changed (${diff.changed.length})</h4>
+      ${list(diff.changed, 'diff-changed', ({ charge, changes }) => `
+        ${describeCharge(charge)}: ${changes.map(change => Utils.escapeHtml(`${change.field} ${change.from} → ${change.to}`)).join(', ')}
+      `)}
+      <div class="diff-actions">
+        <button class="action-btn secondary" onclick="CatalogManager.cancelImport()">Cancel</button>
+        <button class="action-btn primary" onclick="CatalogManager.applyImport()">Apply Import</button>
+      </div>
+    `;
+  },
+
+  // Read a JSON or CSV catalog file and show the diff
+  importFile: async (input) => {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const parsed = /\.csv$/i.test(file.name) ? ChargeCatalog.parseCsv(text) : ChargeCatalog.parseJson(text);
+      const { catalog, errors } = ChargeCatalog.validate(parsed);
+
+      if (errors.length > 0) {
+        StatusManager.error(`Catalog not imported: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+        return;
+      }
+
+      CatalogManager.pending = { catalog, diff: ChargeCatalog.diff(ChargeCatalog.catalog, catalog) };
+      CatalogManager.render();
+    } catch (err) {
+      console.error('Catalog import failed:', err);
+      StatusManager.error('Could not read catalog file');
+    }
+  },
+
+  // Replace the current catalog with the pending import
+  applyImport: () => {
+    if (!CatalogManager.pending) return;
+
+    const { catalog } = CatalogManager.pending;
+    ChargeCatalog.load(catalog);
+    CatalogManager.pending = null;
+    CatalogManager.render();
+    StatusManager.success(`Loaded ${catalog.name} v${catalog.version}`);
+  },
+
+  // Discard the pending import
+  cancelImport: () => {
+    CatalogManager.pending = null;
+    CatalogManager.render();
+  },
+
+  // Download the current catalog
+  exportCatalog: (format) => {
+    const { version } = ChargeCatalog.catalog;
+    const filename = `charge-catalog_v${version || 'n-a'}.${format}`;
+
+    if (format === 'csv') {
+      Utils.downloadFile(ChargeCatalog.toCsv(), filename, 'text/csv');
+    } else {
+      Utils.downloadFile(ChargeCatalog.toJson(), filename, 'application/json');
+    }
+    StatusManager.success('Catalog exported');
+  },
+
+  // Restore the built-in catalog
+  resetCatalog: () => {
+    if (!confirm('Replace the current catalog with the default penal code?')) return;
+
+    ChargeCatalog.reset();
+    CatalogManager.pending = null;
+    CatalogManager.render();
+    StatusManager.info('Default catalog restored');
+  }
+};
+
+// ===== DYNAMIC FIELD MANAGEMENT =====
+const DynamicFields = {
+  // Add officer field
+  addOfficer: (value = '', focus = true) => {
+    const container = document.getElementById('arrestingOfficers');
+    const fieldItem = document.createElement('div');
+    fieldItem.className = 'field-item';
+    fieldItem.innerHTML = `
+      <input type="text" placeholder="Officer Name / Badge" class="officer-input" list="officerOptions" value="${Utils.escapeHtml(value)}">
+      <button class="remove-btn" onclick="DynamicFields.removeField(this)">×</button>
+    `;
+    container.appendChild(fieldItem);
+    
+    // Focus on new field
+    if (focus) {
+      fieldItem.querySelector('input').focus();
+      FormManager.notifyChange(container);
+    }
+  },
+
+  // Add suspect field
+  addSuspect: (suspect = {}, focus = true) => {
+    const container = document.getElementById('suspects');
+    const charges = suspect.charges && suspect.charges.length > 0 ? suspect.charges : [{}];
+    const fieldItem = document.createElement('div');
+    fieldItem.className = 'field-item suspect-item';
+    fieldItem.innerHTML = `
+      <div class="suspect-fields">
+        <input type="text" placeholder="Suspect Name" class="suspect-name" value="${Utils.escapeHtml(suspect.name || '')}">
+        <input type="text" placeholder="ID Number" class="suspect-id" value="${Utils.escapeHtml(suspect.id || '')}">
+        <div class="charges-container">
+          <label class="charges-label">Charges:</label>
+          <div class="charges-list">
+            ${charges.map(DynamicFields.chargeItemHtml).join('')}
+          </div>
+          <button type="button" class="add-charge-btn" onclick="addCharge(this)">+ Add Charge</button>
+        </div>
+      </div>
+      <button class="remove-btn" onclick="removeField(this)">×</button>
+    `;
+    container.appendChild(fieldItem);
+    
+    // Focus on first field
+    if (focus) {
+      fieldItem.querySelector('.suspect-name').focus();
+      FormManager.notifyChange(container);
+    }
+  },
+
+  // Markup for a single charge row
+  chargeItemHtml: (charge = {}) => {
+    return `
+      <div class="charge-item">
+        <input type="text" placeholder="Charge description" class="charge-description" list="chargeCatalogOptions" value="${Utils.escapeHtml(charge.description || '')}">
+        <input type="number" placeholder="Count" class="charge-count" min="1" value="${Utils.escapeHtml(charge.count || 1)}">
+        <button class="remove-charge-btn" onclick="removeCharge(this)">×</button>
+      </div>
+    `;
+  },
+
+  // Roles a witness list entry can have
+  witnessRoles: {
+    witness: 'Witness',
+    victim: 'Victim',
+    complainant: 'Complainant'
+  },
+
+  // Add witness or victim entry
+  addWitness: (container, entry = {}, focus = true) => {
+    const fieldItem = document.createElement('div');
+    fieldItem.className = 'field-item witness-item';
+    fieldItem.innerHTML = `
+      <div class="witness-fields">
+        <div class="witness-row">
+          <input type="text" placeholder="Name" class="witness-name" value="${Utils.escapeHtml(entry.name || '')}">
+          <select class="witness-role">
+            <option value="">Select role</option>
+            ${Object.entries(DynamicFields.witnessRoles).map(([value, label]) => `
+              <option value="${value}" ${entry.role === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <input type="text" placeholder="Contact info" class="witness-contact" value="${Utils.escapeHtml(entry.contact || '')}">
+        </div>
+        <textarea placeholder="Statement summary" class="witness-statement" rows="2">${Utils.escapeHtml(entry.statement || '')}</textarea>
+        <div class="witness-actions">
+          <label class="checkbox-field">
+            <input type="checkbox" class="witness-interviewed" ${entry.interviewed ? 'checked' : ''}>
+            Formal interview done
+          </label>
+          <button type="button" class="link-btn" onclick="startWitnessInterview(this)">🎤 Start interview report</button>
+        </div>
+      </div>
+      <button class="remove-btn" onclick="removeField(this)">×</button>
+    `;
+    container.appendChild(fieldItem);
+
+    // Focus on name field
+    if (focus) {
+      fieldItem.querySelector('.witness-name').focus();
+      FormManager.notifyChange(container);
+    }
+  },
+
+  // Impound statuses a vehicle record can have
+  impoundStatuses: {
+    'not-impounded': 'Not impounded',
+    'impounded': 'Impounded',
+    'released': 'Released to owner'
+  },
+
+  // Add vehicle record
+  addVehicle: (container, vehicle = {}, focus = true) => {
+    const input = (property, placeholder) => `
+      <input type="text" placeholder="${placeholder}" class="vehicle-${property}" value="${Utils.escapeHtml(vehicle[property] || '')}">
+    `;
+    const fieldItem = document.createElement('div');
+    fieldItem.className = 'field-item vehicle-item';
+    fieldItem.innerHTML = `
+      <div class="vehicle-fields">
+        <div class="vehicle-row">
+          ${input('plate', 'License plate')}
+          ${input('make', 'Make')}
+          ${input('model', 'Model')}
+          ${input('color', 'Color')}
+        </div>
+        <div class="vehicle-row">
+          ${input('vin', 'VIN')}
+          ${input('owner', 'Registered owner')}
+          <select class="vehicle-impound">
+            <option value="">Impound status</option>
+            ${Object.entries(DynamicFields.impoundStatuses).map(([value, label]) => `
+              <option value="${value}" ${vehicle.impound === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+      </div>
+      <button class="remove-btn" onclick="removeField(this)">×</button>
+    `;
+    container.appendChild(fieldItem);
+
+    // Focus on plate field
+    if (focus) {
+      fieldItem.querySelector('.vehicle-plate').focus();
+      FormManager.notifyChange(container);
+    }
+  },
+
+  // Vehicle records from form data, including the single vehicle older citation drafts stored
+  getVehicleRecords: (formData) => {
+    if (Array.isArray(formData.vehicles)) return formData.vehicles;
+
+    const { vehiclePlate, vehicleMake, vehicleModel, vehicleColor } = formData;
+    if (!vehiclePlate && !vehicleMake && !vehicleModel && !vehicleColor) return [];
+    return [{ plate: vehiclePlate || '', make: vehicleMake || '', model: vehicleModel || '', color: vehicleColor || '' }];
+  },
+
+  // Add evidence item to a section's evidence log
+  addEvidence: (container, item = {}, focus = true) => {
+    const fieldItem = document.createElement('div');
+    fieldItem.className = 'field-item evidence-item';
+    fieldItem.innerHTML = `
+      <div class="evidence-fields">
+        <div class="evidence-row">
+          <input type="text" placeholder="Item #" class="evidence-number" value="${Utils.escapeHtml(item.number || DynamicFields.nextEvidenceNumber(container))}">
+          <input type="text" placeholder="Description" class="evidence-description" value="${Utils.escapeHtml(item.description || '')}">
+        </div>
+        <div class="evidence-row">
+          <input type="text" placeholder="Location found" class="evidence-location" value="${Utils.escapeHtml(item.location || '')}">
+          <input type="text" placeholder="Collected by" class="evidence-collected-by" value="${Utils.escapeHtml(item.collectedBy || '')}">
+          <input type="text" placeholder="Storage locker" class="evidence-locker" value="${Utils.escapeHtml(item.locker || '')}">
+        </div>
+        <div class="custody-container">
+          <label class="charges-label">Chain of Custody:</label>
+          <div class="custody-list">
+            ${(item.custody || []).map(DynamicFields.custodyItemHtml).join('')}
+          </div>
+          <button type="button" class="add-charge-btn" onclick="addCustodyTransfer(this)">+ Add Transfer</button>
+        </div>
+      </div>
+      <button class="remove-btn" onclick="removeField(this)">×</button>
+    `;
+    container.appendChild(fieldItem);
+
+    // Focus on the description, since the item number is filled in
+    if (focus) {
+      fieldItem.querySelector('.evidence-description').focus();
+      FormManager.notifyChange(container);
+    }
+  },
+
+  // Next free numeric item number in an evidence log
+  nextEvidenceNumber: (container) => {
+    const numbers = Array.from(container.querySelectorAll('.evidence-number'))
+      .map(input => parseInt(input.value, 10))
+      .filter(number => !isNaN(number));
+    return String(numbers.length > 0 ? Math.max(...numbers) + 1 : 1);
+  },
+
+  // Markup for a single custody transfer row
+  custodyItemHtml: (transfer = {}) => {
+    return `
+      <div class="custody-item">
+        <input type="datetime-local" class="custody-time" value="${Utils.escapeHtml(transfer.dateTime || '')}">
+        <input type="text" placeholder="Released by" class="custody-from" value="${Utils.escapeHtml(transfer.from || '')}">
+        <input type="text" placeholder="Received by" class="custody-to" value="${Utils.escapeHtml(transfer.to || '')}">
+        <input type="text" placeholder="Purpose" class="custody-purpose" value="${Utils.escapeHtml(transfer.purpose || '')}">
+        <button class="remove-charge-btn" onclick="removeCustodyTransfer(this)">×</button>
+      </div>
+    `;
+  },
+
+  // Rebuild officer, suspect, witness, vehicle and evidence rows from saved data
+  populate: (section, formData) => {
+    const officersContainer = section.querySelector('#arrestingOfficers');
+    if (officersContainer && Array.isArray(formData.officers)) {
+      officersContainer.innerHTML = '';
+      const officers = formData.officers.length > 0 ? formData.officers : [''];
+      officers.forEach(officer => DynamicFields.addOfficer(officer, false));
+    }
+
+    const suspectsContainer = section.querySelector('#suspects');
+    if (suspectsContainer && Array.isArray(formData.suspects)) {
+      suspectsContainer.innerHTML = '';
+      const suspects = formData.suspects.length > 0 ? formData.suspects : [{}];
+      suspects.forEach(suspect => DynamicFields.addSuspect(suspect, false));
+    }
+
+    const witnessList = section.querySelector('.witness-list');
+    if (witnessList) {
+      witnessList.innerHTML = '';
+      const entries = Array.isArray(formData.witnessEntries) && formData.witnessEntries.length > 0
+        ? formData.witnessEntries
+        : [{}];
+      entries.forEach(entry => DynamicFields.addWitness(witnessList, entry, false));
+    }
+
+    const vehicleList = section.querySelector('.vehicle-list');
+    if (vehicleList) {
+      vehicleList.innerHTML = '';
+      const vehicles = DynamicFields.getVehicleRecords(formData);
+      (vehicles.length > 0 ? vehicles : [{}]).forEach(vehicle => DynamicFields.addVehicle(vehicleList, vehicle, false));
+    }
+
+    const evidenceList = section.querySelector('.evidence-list');
+    if (evidenceList) {
+      evidenceList.innerHTML = '';
+      const items = Array.isArray(formData.evidenceItems) && formData.evidenceItems.length > 0
+        ? formData.evidenceItems
+        : [{}];
+      items.forEach(item => DynamicFields.addEvidence(evidenceList, item, false));
+    }
+  },
+
+  // Remove field
+  removeField: (button) => {
+    const fieldItem = button.closest('.field-item');
+    if (fieldItem) {
+      const container = fieldItem.parentElement;
+      fieldItem.style.animation = 'fadeOut 0.3s ease';
+      setTimeout(() => {
+        fieldItem.remove();
+        FormManager.notifyChange(container);
+      }, 300);
+    }
+  }
+};
+
+// ===== REPORT TEMPLATES =====
+// Each template is an ordered list of blocks:
+//   field    - "Label:\nvalue" pair for `key`, or for a `value` text with placeholders;
+//              skipped when the value is empty
+//   text     - free text with {{placeholders}} and {{#if key}}...{{else}}...{{/if}} blocks
+//   officers - first officer as arresting officer, the rest as assisting officers
+//   suspects - suspects with their charges
+//   narrative - prose paragraph written from structured fields (added in narrative mode)
+//   witnesses - witnesses, victims and complainants with their statements
+//   vehicles - vehicles with VIN, registered owner and impound status
+//   evidence - numbered evidence table, followed by the chain of custody
+// Any block can set `if` (or `unless`) to a field key, or an array of keys,
+// to only render when one of those fields has a value (or when none do).
+const ReportTemplates = {
+  builtIn: {
+    'arrest': {
+      title: 'ARREST REPORT',
+      blocks: [
+        { type: 'field', key: 'arrestDateTime', label: 'Date & Time of Arrest' },
+        { type: 'field', key: 'arrestLocation', label: 'Location' },
+        { type: 'field', key: 'incidentSummary', label: 'Incident Summary' },
+        { type: 'evidence', label: 'EVIDENCE LOG', custodyLabel: 'CHAIN OF CUSTODY' },
+        { type: 'field', key: 'evidence', label: 'EVIDENCE' },
+        { type: 'witnesses', label: 'WITNESSES & VICTIMS' },
+        { type: 'field', key: 'witnesses', label: 'WITNESSES' },
+        { type: 'field', key: 'futureNotes', label: 'NOTES' },
+        { type: 'officers', label: 'ARRESTING OFFICER', assistingLabel: 'ASSISTING OFFICERS' },
+        { type: 'suspects', label: 'SUSPECTS' },
+        { type: 'vehicles', label: 'VEHICLES' }
+      ]
+    },
+    'citation': {
+      title: 'CITATION REPORT',
+      blocks: [
+        { type: 'field', key: 'citationDateTime', label: 'Date & Time' },
+        { type: 'field', key: 'citationLocation', label: 'Location' },
+        { type: 'field', key: 'citationOfficer', label: 'Issuing Officer' },
+        { type: 'field', key: 'citationNumber', label: 'Citation Number' },
+        { type: 'field', key: 'offenderName', label: 'Offender Name' },
+        { type: 'field', key: 'offenderDOB', label: 'Date of Birth' },
+        { type: 'field', key: 'offenderLicense', label: 'Driver\'s License' },
+        { type: 'field', key: 'offenderAddress', label: 'Address' },
+        { type: 'field', key: 'violations', label: 'Violations' },
+        { type: 'vehicles', label: 'Vehicles' },
+        { type: 'field', key: 'officerNotes', label: 'Officer Notes' }
+      ]
+    },
+    'case-opening': {
+      title: 'CASE OPENING FILE',
+      blocks: [
+        { type: 'field', key: 'caseNumber', label: 'Case Number' },
+        { type: 'field', key: 'caseName', label: 'Case Name' },
+        { type: 'field', key: 'caseType', label: 'Case Type' },
+        { type: 'field', key: 'primaryDetective', label: 'Primary Detective' },
+        { type: 'field', key: 'dateOpened', label: 'Date Opened' },
+        { type: 'field', key: 'caseLocation', label: 'Case Location' },
+        { type: 'field', key: 'incidentSummary', label: 'Incident Summary' },
+        { type: 'evidence', label: 'Evidence Log', custodyLabel: 'Chain of Custody' },
+        { type: 'field', key: 'initialEvidence', label: 'Initial Evidence' },
+        { type: 'field', key: 'initialLeads', label: 'Initial Leads' }
+      ]
+    },
+    'investigative-update': {
+      title: 'INVESTIGATIVE UPDATE',
+      blocks: [
+        { type: 'field', key: 'updateCaseNumber', label: 'Case Number' },
+        { type: 'field', key: 'updateDateTime', label: 'Date / Time' },
+        { type: 'field', key: 'investigatingDetective', label: 'Investigating Detective' },
+        { type: 'field', key: 'updateActionTaken', label: 'Action Taken' },
+        { type: 'field', key: 'actionDetails', label: 'Details' },
+        { type: 'field', key: 'actionResult', label: 'Result' },
+        { type: 'evidence', label: 'Evidence Log', custodyLabel: 'Chain of Custody' },
+        { type: 'field', key: 'evidenceCollected', label: 'Evidence Collected or Identified' },
+        { type: 'field', key: 'nextSteps', label: 'Next Steps' }
+      ]
+    },
+    'interview': {
+      title: 'INTERVIEW REPORT',
+      blocks: [
+        { type: 'field', key: 'interviewCaseNumber', label: 'Case Number' },
+        { type: 'field', key: 'interviewDateTime', label: 'Date / Time' },
+        { type: 'field', key: 'interviewType', label: 'Interview Type' },
+        { type: 'field', key: 'intervieweeName', label: 'Interviewee' },
+        { type: 'field', key: 'interviewLocation', label: 'Location' },
+        { type: 'field', key: 'interviewingDetectives', label: 'Interviewing Detective(s)' },
+        { type: 'field', key: 'interviewDuration', label: 'Duration' },
+        { type: 'field', key: 'statementSummary', label: 'Summary of Statement' },
+        { type: 'field', key: 'keyPoints', label: 'Key Points' },
+        {
+          type: 'field',
+          label: 'Credibility Assessment',
+          if: 'credibilityAssessment',
+          value: '{{credibilityAssessment}}{{#if credibilityReasoning}}\n{{credibilityReasoning}}{{/if}}'
+        }
+      ]
+    },
+    'ci-report': {
+      title: 'CONFIDENTIAL INFORMANT REPORT',
+      blocks: [
+        { type: 'field', key: 'ciCaseNumber', label: 'Case Number' },
+        { type: 'field', key: 'operationName', label: 'Operation Name' },
+        { type: 'field', key: 'ciIdentifier', label: 'CI Identifier' },
+        { type: 'field', key: 'ciClassification', label: 'CI Classification' },
+        { type: 'field', key: 'handlingDetective', label: 'Handling Detective' },
+        { type: 'field', key: 'ciContactDateTime', label: 'Date / Time of Contact' },
+        { type: 'field', key: 'contactMethod', label: 'Method of Contact' },
+        { type: 'field', key: 'intelligenceProvided', label: 'Intelligence Provided' },
+        { type: 'field', key: 'reliabilityAssessment', label: 'Reliability Assessment' },
+        { type: 'field', key: 'supervisorNotified', label: 'Supervisor Notified' },
+        { type: 'field', key: 'actionableLeads', label: 'Actionable Leads Generated' },
+        { type: 'field', key: 'verificationNeeded', label: 'Verification Needed' }
+      ]
+    },
+    'warrant': {
+      title: 'WARRANT SUPPORT SUMMARY',
+      blocks: [
+        { type: 'field', key: 'warrantCaseNumber', label: 'Case Number' },
+        { type: 'field', key: 'warrantType', label: 'Warrant Type' },
+        { type: 'field', key: 'warrantDate', label: 'Warrant Request Date' },
+        { type: 'field', key: 'suspectName', label: 'Suspect / Target' },
+        { type: 'field', key: 'targetLocation', label: 'Location' },
+        { type: 'vehicles', label: 'Vehicles' },
+        { type: 'field', key: 'probableCauseSummary', label: 'Probable Cause Summary' },
+        { type: 'evidence', label: 'Evidence Log', custodyLabel: 'Chain of Custody' },
+        { type: 'field', key: 'evidenceSupporting', label: 'Evidence Supporting Warrant' },
+        { type: 'field', key: 'relatedReports', label: 'Related Reports' },
+        { type: 'field', key: 'requestingDetective', label: 'Requesting Detective' },
+        { type: 'field', key: 'reviewingSupervisor', label: 'Reviewing Supervisor' },
+        { type: 'field', key: 'additionalNotes', label: 'Additional Notes' }
+      ]
+    },
+    'case-closure': {
+      title: 'CASE CLOSURE SUMMARY',
+      blocks: [
+        { type: 'field', key: 'closureCaseNumber', label: 'Case Number' },
+        { type: 'field', key: 'caseStatus', label: 'Status' },
+        { type: 'field', key: 'closureDate', label: 'Closure Date' },
+        { type: 'field', key: 'caseOutcome', label: 'Outcome' },
+        { type: 'field', key: 'finalSummary', label: 'Final Summary' },
+        { type: 'field', key: 'relatedCases', label: 'Related Cases / Operations' },
+        { type: 'field', key: 'crossReferences', label: 'Cross References' },
+        { type: 'evidence', label: 'Evidence Log', custodyLabel: 'Chain of Custody' },
+        { type: 'field', key: 'evidenceDisposition', label: 'Evidence Disposition' },
+        { type: 'field', key: 'futureNotes', label: 'Notes for Future Reference' },
+        { type: 'field', key: 'closingDetective', label: 'Closing Detective' },
+        { type: 'field', key: 'reviewingSupervisor', label: 'Reviewing Supervisor' }
+      ]
+    }
+  },
+
+  storageKey: 'kyntraCustomTemplates',
+  custom: [],
+  selected: {},
+
+  // Load custom templates and per-type selection from localStorage
+  load: () => {
+    const saved = Utils.readStorage(ReportTemplates.storageKey, {});
+    ReportTemplates.custom = Array.isArray(saved.templates) ? saved.templates.filter(ReportTemplates.isValid) : [];
+    ReportTemplates.selected = saved.selected || {};
+
+    // Citations used to hold one vehicle in separate fields; point copies of the old built-in
+    // vehicle block at the vehicle list, leaving blocks the user wrote themselves alone
+    const vehicleFields = ['vehicleMake', 'vehicleModel', 'vehicleColor', 'vehiclePlate'];
+    const vehicleValue = '{{#if vehicleColor}}{{vehicleColor}} {{/if}}{{#if vehicleMake}}{{vehicleMake}} {{/if}}' +
+      '{{vehicleModel}}{{#if vehiclePlate}}\nPlate: {{vehiclePlate}}{{/if}}';
+    ReportTemplates.custom.forEach(template => {
+      template.blocks = template.blocks.map(block => {
+        const condition = [].concat(block.if || vehicleFields);
+        const isOldVehicle = block.type === 'field' && block.value === vehicleValue && block.unless === undefined &&
+          condition.length === vehicleFields.length && vehicleFields.every(field => condition.includes(field));
+        return isOldVehicle ? { type: 'vehicles', label: block.label } : block;
+      });
+    });
+
+    // CI classifications used to print as "Class {{ciClassification}}"; the option label now includes "Class"
+    ReportTemplates.custom.forEach(template => {
+      template.blocks = template.blocks.map(block => {
+        const isOldClassification = block.type === 'field' && block.value === 'Class {{ciClassification}}';
+        return isOldClassification ? { type: 'field', key: 'ciClassification', label: block.label } : block;
+      });
+    });
+  },
+
+  // Persist custom templates and selection
+  save: () => {
+    Utils.writeStorage(ReportTemplates.storageKey, {
+      templates: ReportTemplates.custom,
+      selected: ReportTemplates.selected
+    });
+  },
+
+  // Get the template for a report type (selected custom template or built-in)
+  get: (reportType) => {
+    const selectedId = ReportTemplates.selected[reportType];
+    const custom = selectedId && ReportTemplates.getCustom(selectedId);
+    return custom || ReportTemplates.builtIn[reportType];
+  },
+
+  // Get a custom template by id
+  getCustom: (id) => {
+    return ReportTemplates.custom.find(template => template.id === id);
+  },
+
+  // Get all custom templates for a report type
+  getCustomForType: (reportType) => {
+    return ReportTemplates.custom.filter(template => template.reportType === reportType);
+  },
+
+  // Add or update a custom template
+  saveCustom: (template) => {
+    const stored = { ...Utils.clone(template), updatedAt: new Date().toISOString() };
+    const index = ReportTemplates.custom.findIndex(existing => existing.id === stored.id);
+
+    if (index >= 0) {
+      ReportTemplates.custom[index] = stored;
+    } else {
+      ReportTemplates.custom.push(stored);
+    }
+
+    ReportTemplates.save();
+    return stored;
+  },
+
+  // Delete a custom template, falling back to built-in if it was selected
+  deleteCustom: (id) => {
+    ReportTemplates.custom = ReportTemplates.custom.filter(template => template.id !== id);
+    Object.keys(ReportTemplates.selected).forEach(reportType => {
+      if (ReportTemplates.selected[reportType] === id) {
+        delete ReportTemplates.selected[reportType];
+      }
+    });
+    ReportTemplates.save();
+  },
+
+  // Select the template used for a report type ('' for built-in)
+  select: (reportType, id) => {
+    if (id) {
+      ReportTemplates.selected[reportType] = id;
+    } else {
+      delete ReportTemplates.selected[reportType];
+    }
+    ReportTemplates.save();
+  },
+
+  // Check that an imported template has a usable structure
+  isValid: (template) => {
+    return !!template &&
+      typeof template.id === 'string' &&
+      typeof template.title === 'string' &&
+      Object.prototype.hasOwnProperty.call(ReportTemplates.builtIn, template.reportType) &&
+      Array.isArray(template.blocks) &&
+      template.blocks.every(ReportTemplates.isValidBlock);
+  },
+
+  // Check that a block has the properties its renderer reads
+  isValidBlock: (block) => {
+    const isString = (value) => typeof value === 'string';
+    const isOptionalString = (value) => value === undefined || isString(value);
+    const isCondition = (value) => value === undefined || [].concat(value).every(key => isString(key) && key !== '');
+
+    // Narrative blocks are only added while rendering, never stored
+    if (!block || typeof block !== 'object' || block.type === 'narrative' || !TemplateEngine.blockRenderers[block.type]) {
+      return false;
+    }
+    if (!['label', 'assistingLabel', 'custodyLabel'].every(key => isOptionalString(block[key]))) return false;
+    if (!isCondition(block.if) || !isCondition(block.unless)) return false;
+
+    if (block.type === 'field') {
+      return (isString(block.key) && block.key !== '' && isOptionalString(block.value)) || isString(block.value);
+    }
+    if (block.type === 'text') return isString(block.text);
+    return true;
+  }
+};
+
+// ===== TEMPLATE ENGINE =====
+const TemplateEngine = {
+  // Resolve a dotted key path such as "officers.0"
+  resolve: (data, path) => {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+  },
+
+  // Check whether a value counts as empty for conditions and fields
+  isEmpty: (value) => {
+    if (value == null || value === false) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return String(value).trim() === '';
+  },
+
+  // Convert a value into text for the report
+  stringify: (value) => {
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  },
+
+  // Check a block's if/unless condition against the data
+  passesCondition: (block, data) => {
+    const hasAny = (keys) => [].concat(keys).some(key => !TemplateEngine.isEmpty(TemplateEngine.resolve(data, key)));
+
+    if (block.if && !hasAny(block.if)) return false;
+    if (block.unless && hasAny(block.unless)) return false;
+    return true;
+  },
+
+  // Replace {{key}} placeholders and resolve {{#if}} / {{#unless}} blocks
+  interpolate: (text, data) => {
+    // Innermost blocks are resolved first so conditionals can be nested
+    const blockPattern = /\{\{#(if|unless) ([\w.]+)\}\}((?:(?!\{\{#(?:if|unless) )[\s\S])*?)\{\{\/\1\}\}/g;
+    let output = text || '';
+    let previous;
+
+    do {
+      previous = output;
+      output = output.replace(blockPattern, (match, kind, key, body) => {
+        const [whenTrue, whenFalse = ''] = body.split('{{else}}');
+        const present = !TemplateEngine.isEmpty(TemplateEngine.resolve(data, key));
+        return (kind === 'if') === present ? whenTrue : whenFalse;
+      });
+    } while (output !== previous);
+
+    return output.replace(/\{\{([\w.]+)\}\}/g, (match, key) => {
+      return TemplateEngine.stringify(TemplateEngine.resolve(data, key));
+    });
+  },
+
+  // Render a complete report from a template in the given output format
+  render: (template, formData, context = {}, format = ReportFormats.get()) => {
+    const data = { ...formData, ...context };
+
+    let report = format.title(TemplateEngine.interpolate(template.title, data));
+
+    template.blocks.forEach(block => {
+      const renderer = TemplateEngine.blockRenderers[block.type];
+      if (!renderer) {
+        console.error('Unknown template block type:', block.type);
+        return;
+      }
+
+      if (TemplateEngine.passesCondition(block, data)) {
+        report += renderer(block, data, format);
+      }
+    });
+
+    return report;
+  },
+
+  // Renderers for each block type
+  blockRenderers: {
+    field: (block, data, format) => {
+      const value = block.value !== undefined
+        ? TemplateEngine.interpolate(block.value, data).replace(/[ \t]+$/gm, '').trim()
+        : TemplateEngine.resolve(data, block.key);
+      if (TemplateEngine.isEmpty(value)) return '';
+
+      const label = block.label || ReportGenerator.formatLabel(block.key);
+      return format.field(label, TemplateEngine.stringify(value));
+    },
+
+    text: (block, data, format) => {
+      const text = TemplateEngine.interpolate(block.text, data).replace(/[ \t]+$/gm, '');
+      return text.trim() ? format.text(text) : '';
+    },
+
+    officers: (block, data, format) => {
+      const officers = data.officers || [];
+      if (officers.length === 0) return '';
+
+      // First officer is Arresting Officer, rest are Assisting Officers
+      const [arrestingOfficer, ...assistingOfficers] = officers;
+      let text = format.field(block.label || 'ARRESTING OFFICER', arrestingOfficer);
+
+      if (assistingOfficers.length > 0) {
+        text += format.list(block.assistingLabel || 'ASSISTING OFFICERS', assistingOfficers);
+      }
+
+      return text;
+    },
+
+    suspects: (block, data, format) => {
+      const suspects = data.suspects || [];
+      if (suspects.length === 0) return '';
+
+      const entries = suspects.map(suspect => {
+        const charges = suspect.charges || [];
+        const notes = [];
+
+        // Sentencing totals for charges found in the catalog
+        const totals = ChargeCatalog.getTotals(charges);
+        if (totals.matched > 0 && block.showTotals !== false) {
+          notes.push(`Total Fine: $${totals.fine.toLocaleString('en-US')}`);
+          notes.push(`Total Jail Time: ${FieldFormatter.count(totals.jailTime, 'month')}`);
+        }
+
+        return {
+          heading: `${suspect.name || 'Unknown'}${suspect.id ? ` (ID: ${suspect.id})` : ''}`,
+          itemsLabel: 'Charges',
+          items: charges.map(charge => {
+            const count = charge.count > 1 ? ` (${FieldFormatter.count(charge.count, 'count')})` : '';
+            return `${ChargeCatalog.normalize(charge.description)}${count}`;
+          }),
+          notes
+        };
+      });
+
+      return format.group(block.label || 'SUSPECTS', entries);
+    },
+
+    // Prose paragraph; falls back to the blocks it replaced when there is nothing to write
+    narrative: (block, data, format) => {
+      const text = Narrative.compose(data.reportType, data);
+      if (text) return format.text(text);
+
+      return (block.replaces || [])
+        .filter(replaced => TemplateEngine.passesCondition(replaced, data))
+        .map(replaced => TemplateEngine.blockRenderers[replaced.type](replaced, data, format))
+        .join('');
+    },
+
+    witnesses: (block, data, format) => {
+      const entries = data.witnessEntries || [];
+      if (entries.length === 0) return '';
+
+      return format.group(block.label || 'WITNESSES & VICTIMS', entries.map(entry => {
+        const role = DynamicFields.witnessRoles[entry.role];
+        const items = [];
+        if (entry.contact) items.push(`Contact: ${entry.contact}`);
+        if (entry.statement) items.push(`Statement: ${entry.statement}`);
+        items.push(`Formal interview: ${entry.interviewed ? 'Yes' : 'No'}`);
+
+        return {
+          heading: `${entry.name || 'Unknown'}${role ? ` (${role})` : ''}`,
+          items,
+          notes: []
+        };
+      }));
+    },
+
+    vehicles: (block, data, format) => {
+      const vehicles = DynamicFields.getVehicleRecords(data);
+      if (vehicles.length === 0) return '';
+
+      return format.group(block.label || 'VEHICLES', vehicles.map(vehicle => {
+        const description = [vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'Vehicle';
+        const items = [];
+        if (vehicle.vin) items.push(`VIN: ${vehicle.vin}`);
+        if (vehicle.owner) items.push(`Registered Owner: ${vehicle.owner}`);
+        if (vehicle.impound) items.push(`Impound Status: ${DynamicFields.impoundStatuses[vehicle.impound] || vehicle.impound}`);
+
+        return {
+          heading: `${description}${vehicle.plate ? ` (Plate: ${vehicle.plate})` : ''}`,
+          items,
+          notes: []
+        };
+      }));
+    },
+
+    evidence: (block, data, format) => {
+      const items = data.evidenceItems || [];
+      if (items.length === 0) return '';
+
+      let text = format.table(
+        block.label || 'EVIDENCE LOG',
+        ['#', 'Description', 'Found At', 'Collected By', 'Locker'],
+        items.map(item => [item.number, item.description, item.location, item.collectedBy, item.locker])
+      );
+
+      // Every transfer across all items, in the order they were logged
+      const transfers = items.flatMap(item => (item.custody || []).map(transfer => [
+        item.number,
+        FieldFormatter.formatDate(transfer.dateTime, true),
+        transfer.from,
+        transfer.to,
+        transfer.purpose
+      ]));
+      if (transfers.length > 0) {
+        text += format.table(
+          block.custodyLabel || 'CHAIN OF CUSTODY',
+          ['#', 'Date / Time', 'Released By', 'Received By', 'Purpose'],
+          transfers
+        );
+      }
+
+      return text;
+    }
+  }
+};
+
+// ===== OUTPUT FORMATS =====
+// Each format turns report structure (title, labelled fields, lists, grouped
+// entries and tables) into text, and converts that text to HTML for printing.
+const ReportFormats = {
+  plain: {
+    label: 'Plain Text',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    title: (text) => `${text}\n${'='.repeat(50)}\n\n`,
+    field: (label, value) => `${label}:\n${value}\n\n`,
+    text: (text) => `${text}\n\n`,
+    list: (label, items) => `${label}:\n${items.map(item => `${item}\n`).join('')}\n`,
+    group: (label, entries) => {
+      return `${label}:\n` + entries.map(entry => {
+        let text = `${entry.heading}\n`;
+        if (entry.items.length > 0) {
+          if (entry.itemsLabel) text += `${entry.itemsLabel}:\n`;
+          text += entry.items.map(item => `${item}\n`).join('');
+          text += entry.notes.map(note => `${note}\n`).join('');
+        }
+        return `${text}\n`;
+      }).join('');
+    },
+    // Columns are sized to their content, then the widest are wrapped until the table fits
+    table: (label, headers, rows) => {
+      const maxWidth = 78;
+      const cells = rows.map(row => row.map(cell => String(cell || '')));
+      const widths = headers.map((header, index) => Math.max(header.length, ...cells.map(row => row[index].length)));
+      while (widths.reduce((sum, width) => sum + width, 0) + (widths.length - 1) * 2 > maxWidth) {
+        widths[widths.indexOf(Math.max(...widths))]--;
+      }
+
+      const line = (row) => {
+        const wrapped = row.map((cell, index) => Utils.wrapText(cell, widths[index]));
+        const height = Math.max(...wrapped.map(parts => parts.length));
+        return Array.from({ length: height }, (_, lineIndex) => {
+          return wrapped.map((parts, index) => (parts[lineIndex] || '').padEnd(widths[index])).join('  ').trimEnd();
+        }).join('\n') + '\n';
+      };
+
+      const divider = widths.map(width => '-'.repeat(width)).join('  ');
+      return `${label}:\n${line(headers)}${divider}\n${cells.map(line).join('')}\n`;
+    },
+    toHtml: (text) => `<pre>${Utils.escapeHtml(text)}</pre>`
+  },
+
+  markdown: {
+    label: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    title: (text) => `# ${text}\n\n`,
+    field: (label, value) => `**${label}:**\n${ReportFormats.markdown.escape(value)}\n\n`,
+    text: (text) => `${text}\n\n`,
+    list: (label, items) => {
+      return `**${label}:**\n${items.map(item => `- ${ReportFormats.markdown.escape(item, '  ')}\n`).join('')}\n`;
+    },
+    group: (label, entries) => {
+      const escape = ReportFormats.markdown.escape;
+      return `**${label}:**\n\n` + entries.map(entry => {
+        let text = `**${escape(entry.heading)}**\n`;
+        if (entry.items.length > 0) {
+          if (entry.itemsLabel) text += `*${entry.itemsLabel}:*\n`;
+          text += entry.items.map(item => `- ${escape(item, '  ')}\n`).join('');
+          text += entry.notes.map(note => `\n*${escape(note)}*`).join('');
+          if (entry.notes.length > 0) text += '\n';
+        }
+        return `${text}\n`;
+      }).join('');
+    },
+    table: (label, headers, rows) => {
+      const cell = (value) => ReportFormats.markdown.escape(String(value || '').replace(/\n/g, ' '));
+      const line = (row) => `| ${row.map(cell).join(' | ')} |\n`;
+      const divider = `| ${headers.map(() => '---').join(' | ')} |\n`;
+      return `**${label}:**\n\n${line(headers)}${divider}${rows.map(line).join('')}\n`;
+    },
+    // Escape Markdown syntax in a user value; its line breaks become hard breaks,
+    // with continuation lines indented to stay inside a list item
+    escape: (value, indent = '') => {
+      const lines = String(value ?? '').split('\n').map(line => line
+        .replace(/[\\`*_[\]#<>|~]/g, '\\$&')
+        .replace(/^(\s*)([-+=])/, '$1\\$2')
+        .replace(/^(\s*\d+)\./, '$1\\.'));
+      return lines.map((line, index) => (line && lines[index + 1] ? `${line}\\` : line)).join(`\n${indent}`);
+    },
+    // Converts the subset of Markdown produced above
+    toHtml: (text) => {
+      // Escaped characters are shown as entities so they aren't read as markup; a trailing \ is a line break
+      const inline = (line) => Utils.escapeHtml(line)
+        .replace(/\\(&(?:amp|lt|gt|quot|#39);|[^A-Za-z0-9\s]|$)/g, (match, char) => {
+          return char.length !== 1 ? char : `&#${char.charCodeAt(0)};`;
+        })
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+      let html = '';
+      let inList = false;
+      let inTable = false;
+
+      text.split('\n').forEach(line => {
+        // Table rows; the first row is the header and the --- row is skipped
+        const row = line.match(/^\|(.*)\|$/);
+        if (!row && inTable) {
+          html += '</table>';
+          inTable = false;
+        }
+        if (row) {
+          const cells = row[1].split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+          if (cells.every(cell => /^-+$/.test(cell))) return;
+
+          const tag = inTable ? 'td' : 'th';
+          if (!inTable) {
+            html += '<table>';
+            inTable = true;
+          }
+          html += `<tr>${cells.map(cell => `<${tag}>${inline(cell)}</${tag}>`).join('')}</tr>`;
+          return;
+        }
+
+        // Indented lines continue the list item above
+        if (inList && /^ {2}\S/.test(line)) {
+          html = html.replace(/<\/li>$/, `<br>${inline(line.trim())}</li>`);
+          return;
+        }
+
+        const item = line.match(/^- (.*)$/);
+        if (item && !inList) {
+          html += '<ul>';
+          inList = true;
+        } else if (!item && inList) {
+          html += '</ul>';
+          inList = false;
+        }
+
+        const heading = line.match(/^(#{1,3}) (.*)$/);
+        if (heading) {
+          html += `<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`;
+        } else if (item) {
+          html += `<li>${inline(item[1])}</li>`;
+        } else if (line.trim()) {
+          html += `<p>${inline(line)}</p>`;
+        }
+      });
+
+      if (inList) html += '</ul>';
+      return inTable ? `${html}</table>` : html;
+    }
+  },
+
+  bbcode: {
+    label: 'BBCode',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    title: (text) => `[size=150][b]${text}[/b][/size]\n[hr]\n\n`,
+    field: (label, value) => `[b]${label}:[/b]\n${ReportFormats.bbcode.escape(value)}\n\n`,
+    text: (text) => `${text}\n\n`,
+    list: (label, items) => {
+      return `[b]${label}:[/b]\n[list]\n${items.map(item => `[*]${ReportFormats.bbcode.escape(item)}\n`).join('')}[/list]\n\n`;
+    },
+    group: (label, entries) => {
+      const escape = ReportFormats.bbcode.escape;
+      return `[b]${label}:[/b]\n` + entries.map(entry => {
+        let text = `[u]${escape(entry.heading)}[/u]\n`;
+        if (entry.items.length > 0) {
+          if (entry.itemsLabel) text += `[i]${entry.itemsLabel}:[/i]\n`;
+          text += '[list]\n';
+          text += entry.items.map(item => `[*]${escape(item)}\n`).join('');
+          text += '[/list]\n';
+          text += entry.notes.map(note => `${escape(note)}\n`).join('');
+        }
+        return `${text}\n`;
+      }).join('');
+    },
+    table: (label, headers, rows) => {
+      const cell = (value) => ReportFormats.bbcode.escape(value || '');
+      const line = (row, tag) => `[tr]${row.map(value => `[${tag}]${cell(value)}[/${tag}]`).join('')}[/tr]\n`;
+      return `[b]${label}:[/b]\n[table]\n${line(headers, 'th')}${rows.map(row => line(row, 'td')).join('')}[/table]\n\n`;
+    },
+    // BBCode has no escape character: a zero-width space after [ keeps user text from forming tags
+    escape: (value) => String(value ?? '').replace(/\[/g, '[\u200B'),
+    // Converts the subset of BBCode produced above
+    toHtml: (text) => {
+      const html = Utils.escapeHtml(text)
+        .replace(/\[b\]([\s\S]*?)\[\/b\]/g, '<strong>$1</strong>')
+        .replace(/\[i\]([\s\S]*?)\[\/i\]/g, '<em>$1</em>')
+        .replace(/\[u\]([\s\S]*?)\[\/u\]/g, '<u>$1</u>')
+        .replace(/\[size=\d+\]([\s\S]*?)\[\/size\]/g, '<span class="large">$1</span>')
+        .replace(/\[hr\]\n?/g, '<hr>')
+        .replace(/\[list\]\n?/g, '<ul>')
+        .replace(/\[\/list\]\n?/g, '</ul>')
+        .replace(/\[\*\](.*)\n?/g, '<li>$1</li>')
+        .replace(/\[(\/?)(table|tr|th|td)\]\n?/g, '<$1$2>');
+      return `<div style="white-space: pre-wrap">${html}</div>`;
+    }
+  },
+
+  // Get a format by name, defaulting to the user's selected format
+  get: (name = AppState.settings.outputFormat) => {
+    return ReportFormats[name] && ReportFormats[name].title ? ReportFormats[name] : ReportFormats.plain;
+  }
+};
+
+// ===== FIELD FORMATTING =====
+// Turns raw input values into readable report text: dates in the configured
+// format and time zone, select values as their option labels, and durations
+const FieldFormatter = {
+  // Field types that can't be told from the input element
+  types: {
+    interviewDuration: 'duration'
+  },
+
+  // Date formats offered in settings, as a locale and Intl options
+  dateFormats: {
+    'medium': { locale: 'en-US', options: { year: 'numeric', month: 'short', day: 'numeric' } },
+    'long': { locale: 'en-US', options: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' } },
+    'us': { locale: 'en-US', options: { year: 'numeric', month: '2-digit', day: '2-digit' } },
+    'day-first': { locale: 'en-GB', options: { year: 'numeric', month: '2-digit', day: '2-digit' } },
+    'iso': { locale: 'sv-SE', options: { year: 'numeric', month: '2-digit', day: '2-digit' }, clock: '24h' }
+  },
+
+  // Type of a report field: 'date', 'datetime', 'select', 'duration' or '' for plain text
+  getType: (reportType, key) => {
+    if (FieldFormatter.types[key]) return FieldFormatter.types[key];
+
+    const input = document.querySelector(`#${reportType} [id="${key}"]`);
+    if (!input) return '';
+    if (input.tagName === 'SELECT') return 'select';
+    if (input.type === 'date') return 'date';
+    if (input.type === 'datetime-local') return 'datetime';
+    return '';
+  },
+
+  // Copy of the form data with every top-level field formatted for its type
+  formatFields: (reportType, formData) => {
+    const formatted = { ...formData };
+
+    Object.keys(formatted).forEach(key => {
+      const value = formatted[key];
+      if (typeof value !== 'string' || !value.trim()) return;
+
+      const type = FieldFormatter.getType(reportType, key);
+      if (type === 'select') {
+        formatted[key] = FieldFormatter.getOptionLabel(document.querySelector(`#${reportType} [id="${key}"]`), value);
+      } else if (type === 'date' || type === 'datetime') {
+        formatted[key] = FieldFormatter.formatDate(value, type === 'datetime');
+      } else if (type === 'duration') {
+        formatted[key] = FieldFormatter.formatDuration(value);
+      }
+    });
+
+    return formatted;
+  },
+
+  // Label shown for a select value, or the value itself if it isn't an option
+  getOptionLabel: (select, value) => {
+    const option = [...select.options].find(item => item.value === value);
+    return option ? option.textContent.trim() : value;
+  },
+
+  // Configured time zone, or '' when unset or not recognised
+  getTimeZone: () => {
+    const { timeZone } = AppState.settings.dates;
+    if (!timeZone) return '';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return timeZone;
+    } catch (error) {
+      return '';
+    }
+  },
+
+  // Format a date or date-time value; values that aren't dates are returned unchanged
+  formatDate: (value, withTime) => {
+    // Date-only values have no time zone, so read and print them as UTC to keep the same day
+    const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = dateOnly ? new Date(Date.UTC(dateOnly[1], dateOnly[2] - 1, dateOnly[3])) : new Date(value);
+    if (!value || Number.isNaN(date.getTime())) return String(value ?? '');
+
+    const settings = AppState.settings.dates;
+    const dateFormat = FieldFormatter.dateFormats[settings.format] || FieldFormatter.dateFormats.medium;
+    const options = { locale: dateFormat.locale, ...dateFormat.options };
+
+    if (dateOnly || !withTime) {
+      options.timeZone = dateOnly ? 'UTC' : FieldFormatter.getTimeZone() || undefined;
+    } else {
+      const timeZone = FieldFormatter.getTimeZone();
+      Object.assign(options, {
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: (dateFormat.clock || settings.clock) === '24h' ? 'h23' : 'h12',
+        timeZone: timeZone || undefined,
+        timeZoneName: timeZone ? 'short' : undefined
+      });
+    }
+
+    return Utils.formatDate(date, options);
+  },
+
+  // "1 month", "3 counts"
+  count: (amount, unit) => {
+    return `${amount} ${unit}${Number(amount) === 1 ? '' : 's'}`;
+  },
+
+  // Read "90", "1:30", "1h 30m" or "2 hours" as a duration; other text is returned unchanged
+  formatDuration: (value) => {
+    const text = value.trim().toLowerCase();
+    let minutes = null;
+
+    const clock = text.match(/^(\d+):(\d{2})$/);
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      minutes = Number(text);
+    } else if (clock) {
+      minutes = Number(clock[1]) * 60 + Number(clock[2]);
+    } else if (/^(\s*\d+(\.\d+)?\s*(h|hrs?|hours?|m|mins?|minutes?)\s*)+$/.test(text)) {
+      minutes = 0;
+      text.replace(/(\d+(?:\.\d+)?)\s*(h|m)[a-z]*/g, (match, amount, unit) => {
+        minutes += Number(amount) * (unit === 'h' ? 60 : 1);
+      });
+    }
+    if (minutes === null) return value;
+
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    const parts = [];
+    if (hours > 0) parts.push(FieldFormatter.count(hours, 'hour'));
+    if (rest > 0 || hours === 0) parts.push(FieldFormatter.count(rest, 'minute'));
+    return parts.join(' ');
+  },
+
+  // Offer the browser's known time zones as suggestions in settings
+  renderTimeZoneOptions: () => {
+    const datalist = document.getElementById('timeZoneOptions');
+    if (!datalist || typeof Intl.supportedValuesOf !== 'function') return;
+
+    datalist.innerHTML = Intl.supportedValuesOf('timeZone')
+      .map(zone => `<option value="${Utils.escapeHtml(zone)}"></option>`)
+      .join('');
+  }
+};
+
+// ===== REPORT GENERATION =====
+const ReportGenerator = {
+  // Generate report
+  generate: (reportType) => {
+    console.log('Generating report for:', reportType);
+    
+    if (!FormManager.validateForm(reportType)) {
+      console.log('Form validation failed');
+      return;
+    }
+
+    console.log('Form validation passed');
+    const formData = FormManager.getFormData(reportType);
+    console.log('Form data collected:', formData);
+    
+    const report = ReportGenerator.buildReport(reportType, formData);
+    console.log('Report built:', report);
+    
+    // Display report
+    OutputManager.show(report, reportType, formData);
+    console.log('Report set to output element');
+    
+    // Save to history as the draft's next revision, unless nothing changed since the last one
+    const draft = DraftManager.getActive(reportType);
+    const latest = Revisions.getLatest(draft.id);
+    if (latest && JSON.stringify(latest.formData) === JSON.stringify(formData)) {
+      StatusManager.info(`No changes since revision ${latest.revision}`);
+    } else {
+      // Numbers are never reused, even after the latest revision is deleted from history
+      draft.lastRevision = Math.max(draft.lastRevision || 0, latest ? latest.revision : 0) + 1;
+      DraftManager.saveDraft(draft);
+
+      const entry = ReportHistory.add({
+        type: reportType,
+        content: report,
+        format: AppState.settings.outputFormat,
+        timestamp: new Date().toISOString(),
+        formData: formData,
+        draftId: draft.id,
+        revision: draft.lastRevision
+      });
+
+      // Show success message
+      StatusManager.success(`Report generated (revision ${entry.revision})`);
+    }
+    
+    // Scroll to output
+    document.querySelector('.output-container').scrollIntoView({ 
+      behavior: 'smooth',
+      block: 'nearest'
+    });
+  },
+
+  // Build report content from the report type's template
+  buildReport: (reportType, formData, template = ReportTemplates.get(reportType), format = ReportFormats.get()) => {
+    console.log('Building report for type:', reportType, 'with data:', formData);
+
+    const effective = Narrative.isEnabled(reportType) ? Narrative.applyTo(reportType, template) : template;
+
+    return TemplateEngine.render(effective, FieldFormatter.formatFields(reportType, OfficerRoster.formatFields(formData)), {
+      reportType,
+      reportLabel: ReportTypes.getLabel(reportType),
+      generatedDate: FieldFormatter.formatDate(new Date(), true)
+    }, format);
+  },
+
+  // Format field label
+  formatLabel: (key) => {
+    return key
+      .replace(/([A-Z])/g, ' $1')
+      .replace(/^./, str => str.toUpperCase())
+      .trim();
+  }
+};
+
+// ===== NARRATIVE MODE =====
+// Writes the core facts of a report as a prose paragraph instead of labelled fields
+const Narrative = {
+  // Per report type: the field keys and block types the paragraph replaces, and how to write it
+  composers: {
+    'arrest': {
+      fields: ['arrestDateTime', 'arrestLocation'],
+      blocks: ['officers', 'suspects'],
+      compose: (data) => {
+        const [arresting, ...assisting] = data.officers || [];
+        const suspects = (data.suspects || []).map(suspect => {
+          const name = `${suspect.name || 'an unidentified suspect'}${suspect.id ? ` (ID: ${suspect.id})` : ''}`;
+          const charges = (suspect.charges || []).map(charge => {
+            const description = ChargeCatalog.normalize(charge.description);
+            return charge.count > 1 ? `${charge.count} counts of ${description}` : description;
+          });
+          return charges.length > 0 ? `${name} for ${Narrative.list(charges)}` : name;
+        });
+        if (suspects.length === 0 && !data.arrestDateTime && !data.arrestLocation) return '';
+
+        const when = data.arrestDateTime ? `On ${data.arrestDateTime}, ` : '';
+        const where = data.arrestLocation ? ` at ${data.arrestLocation}` : '';
+        // Semicolons keep each suspect's charges apart from the next suspect
+        const separator = (data.suspects || []).some(suspect => (suspect.charges || []).length > 0) ? '; ' : ', ';
+        const who = suspects.length > 0 ? Narrative.list(suspects, separator) : 'a suspect';
+        let text = arresting
+          ? `${when}${arresting}${assisting.length > 0 ? `, assisted by ${Narrative.list(assisting)},` : ''} arrested ${who}${where}.`
+          : `${when}${who} ${suspects.length > 1 ? 'were' : 'was'} arrested${where}.`;
+        return Narrative.capitalize(text);
+      }
+    },
+    'citation': {
+      fields: ['citationDateTime', 'citationLocation', 'citationOfficer', 'citationNumber', 'offenderName', 'violations'],
+      blocks: [],
+      compose: (data) => {
+        if (!data.offenderName && !data.violations) return '';
+
+        const when = data.citationDateTime ? `On ${data.citationDateTime}, ` : '';
+        const officer = data.citationOfficer || 'the issuing officer';
+        const number = data.citationNumber ? ` #${data.citationNumber}` : '';
+        const offender = data.offenderName || 'the offender';
+        const where = data.citationLocation ? ` at ${data.citationLocation}` : '';
+        const violations = (data.violations || '').split('\n').map(line => line.trim()).filter(Boolean);
+        const reason = violations.length > 0 ? ` for ${Narrative.list(violations)}` : '';
+        return Narrative.capitalize(`${when}${officer} issued citation${number} to ${offender}${where}${reason}.`);
+      }
+    }
+  },
+
+  // Whether narrative mode is on for a report type that supports it
+  isEnabled: (reportType) => {
+    return !!(Narrative.composers[reportType] && AppState.settings.narrative[reportType]);
+  },
+
+  // Join items as "A", "A and B" or "A, B and C" ("A; B; and C" with a semicolon separator)
+  list: (items, separator = ', ') => {
+    if (items.length <= 1) return items.join('');
+    const last = separator === ', ' || items.length === 2 ? ' and ' : `${separator}and `;
+    return `${items.slice(0, -1).join(separator)}${last}${items[items.length - 1]}`;
+  },
+
+  // Upper-case the first letter of a sentence
+  capitalize: (text) => {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  // Write the paragraph for a report, or '' when there is nothing to write
+  compose: (reportType, data) => {
+    const composer = Narrative.composers[reportType];
+    return composer ? composer.compose(data) : '';
+  },
+
+  // Copy of a template with the blocks covered by the narrative replaced by one narrative block
+  applyTo: (reportType, template) => {
+    const { fields, blocks } = Narrative.composers[reportType];
+    const covered = (block) => blocks.includes(block.type) || (block.type === 'field' && fields.includes(block.key));
+
+    const replaces = template.blocks.filter(covered);
+    if (replaces.length === 0) return template;
+
+    const index = template.blocks.findIndex(covered);
+    const remaining = template.blocks.filter(block => !covered(block));
+    remaining.splice(index, 0, { type: 'narrative', replaces });
+    return { ...template, blocks: remaining };
+  },
+
+  // Turn narrative mode on or off for the current report type
+  toggle: () => {
+    const reportType = AppState.currentReport;
+    if (!Narrative.composers[reportType]) {
+      StatusManager.warning(`Narrative mode is not available for ${ReportTypes.getLabel(reportType)}s`);
+      return;
+    }
+    const showsReport = AppState.lastReport && AppState.lastReport.type === reportType;
+    if (showsReport && !OutputManager.confirmReplace()) return;
+
+    SettingsManager.update({
+      narrative: { ...AppState.settings.narrative, [reportType]: !Narrative.isEnabled(reportType) }
+    });
+    Narrative.renderButton();
+    if (showsReport) OutputManager.render();
+    StatusManager.info(`Narrative mode ${Narrative.isEnabled(reportType) ? 'on' : 'off'}`);
+  },
+
+  // Show the toggle only for report types with a narrative, highlighted when on
+  renderButton: () => {
+    const button = document.getElementById('narrativeButton');
+    if (!button) return;
+
+    button.style.display = Narrative.composers[AppState.currentReport] ? '' : 'none';
+    button.classList.toggle('active', Narrative.isEnabled(AppState.currentReport));
+  }
+};
+
+// ===== OUTPUT MANAGEMENT =====
+const OutputManager = {
+  placeholder: 'Your generated report will appear here...',
+
+  // Hook up the output format selector
+  init: () => {
+    const select = document.getElementById('outputFormat');
+    if (select) {
+      select.value = AppState.settings.outputFormat;
+      select.addEventListener('change', (e) => OutputManager.setFormat(e.target.value));
+    }
+
+    const output = document.getElementById('reportOutput');
+    if (output) {
+      output.addEventListener('input', () => { OutputManager.edited = true; });
+    }
+  },
+
+  // Whether the displayed report is the redacted variant
+  redacted: false,
+
+  // Whether the user has typed into the displayed report
+  edited: false,
+
+  // Output format of the displayed text (history entries keep the format they were generated in)
+  format: null,
+
+  // Display a report and remember its source so it can be re-rendered
+  show: (report, reportType, formData, formatName = AppState.settings.outputFormat) => {
+    AppState.lastReport = { type: reportType, formData };
+    OutputManager.format = formatName;
+    OutputManager.edited = false;
+    if (OutputManager.redacted) {
+      OutputManager.render();
+      return;
+    }
+    OutputManager.setText(report, reportType);
+  },
+
+  // Rebuild the displayed report from its source data
+  render: () => {
+    if (!AppState.lastReport) return;
+    const { type } = AppState.lastReport;
+    OutputManager.format = AppState.settings.outputFormat;
+    OutputManager.setText(ReportGenerator.buildReport(type, OutputManager.getSourceData()), type);
+  },
+
+  // Ask before a re-render throws away edits made to the displayed report
+  confirmReplace: () => {
+    return !OutputManager.edited || confirm('Replace your edits to the report?');
+  },
+
+  // Put report text in the output; narrative reports can be edited before copying
+  setText: (text, reportType) => {
+    const output = document.getElementById('reportOutput');
+    output.textContent = text;
+    OutputManager.edited = false;
+
+    if (reportType && Narrative.isEnabled(reportType)) {
+      output.setAttribute('contenteditable', 'plaintext-only');
+      output.title = 'Edit the report before copying';
+    } else {
+      output.removeAttribute('contenteditable');
+      output.removeAttribute('title');
+    }
+  },
+
+  // Form data behind the displayed report, redacted when redaction is on
+  getSourceData: () => {
+    const { type, formData } = AppState.lastReport;
+    return OutputManager.redacted ? Redactor.redact(type, formData).formData : formData;
+  },
+
+  // Switch between the original and redacted output
+  setRedacted: (redacted) => {
+    if (!OutputManager.confirmReplace()) return;
+
+    OutputManager.redacted = redacted;
+    document.getElementById('redactionBadge').style.display = redacted ? '' : 'none';
+    OutputManager.render();
+  },
+
+  // Get the current output text, or null when there is no report
+  getOutput: () => {
+    const output = document.getElementById('reportOutput').textContent;
+    return output && output !== OutputManager.placeholder ? output : null;
+  },
+
+  // Change output format and re-render the displayed report
+  setFormat: (formatName) => {
+    if (!OutputManager.confirmReplace()) {
+      document.getElementById('outputFormat').value = AppState.settings.outputFormat;
+      return;
+    }
+    SettingsManager.update({ outputFormat: formatName });
+
+    OutputManager.render();
+    StatusManager.info(`Output format: ${ReportFormats.get().label}`);
+  },
+
+  // Copy report to clipboard
+  copy: async () => {
+    const output = OutputManager.getOutput();
+    
+    if (!output) {
+      StatusManager.warning('No report to copy');
+      return;
+    }
+
+    try {
+      await Utils.copyToClipboard(output);
+      StatusManager.success('Report copied to clipboard');
+    } catch (err) {
+      StatusManager.error('Failed to copy report');
+    }
+  },
+
+  // Download report
+  download: () => {
+    const output = OutputManager.getOutput();
+    
+    if (!output) {
+      StatusManager.warning('No report to download');
+      return;
+    }
+
+    const format = ReportFormats.get(OutputManager.format || undefined);
+    const filename = `report_${AppState.currentReport}_${Date.now()}.${format.extension}`;
+    Utils.downloadFile(output, filename, format.mimeType);
+    StatusManager.success('Report downloaded successfully');
+  },
+
+  // Download report as a PDF with letterhead
+  downloadPdf: () => {
+    if (!OutputManager.getOutput() || !AppState.lastReport) {
+      StatusManager.warning('No report to export');
+      return;
+    }
+
+    try {
+      const { type, formData } = AppState.lastReport;
+      // Keep the user's edits; otherwise lay out a fresh plain-text copy
+      const text = OutputManager.edited ? OutputManager.getOutput() : undefined;
+      const pdf = PdfExport.build(type, OutputManager.getSourceData(), text);
+      const caseNumber = ReportTypes.getCaseNumber(type, formData);
+      const filename = `report_${type}${caseNumber ? `_${caseNumber}` : ''}_${Date.now()}.pdf`;
+      Utils.downloadFile(pdf, filename, 'application/pdf');
+      StatusManager.success('PDF downloaded successfully');
+    } catch (err) {
+      console.error('PDF export failed:', err);
+      StatusManager.error('Failed to create PDF');
+    }
+  },
+
+  // Print report
+  print: () => {
+    const output = OutputManager.getOutput();
+    
+    if (!output) {
+      StatusManager.warning('No report to print');
+      return;
+    }
+
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>Report</title>
+          <style>
+            body { font-family: monospace; white-space: pre-wrap; padding: 20px; }
+            pre { white-space: pre-wrap; }
+            h1, h2, h3, p, ul, table { margin: 0 0 8px; white-space: normal; }
+            table { border-collapse: collapse; }
+            th, td { border: 1px solid #999; padding: 2px 6px; text-align: left; vertical-align: top; }
+            .large { font-size: 1.5em; }
+          </style>
+        </head>
+        <body>${ReportFormats.get(OutputManager.format || undefined).toHtml(output)}</body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.print();
+    StatusManager.success('Print dialog opened');
+  },
+
+  // Clear output
+  clear: () => {
+    OutputManager.setText(OutputManager.placeholder);
+    AppState.lastReport = null;
+    StatusManager.info('Output cleared');
+  }
+};
+
+// ===== SETTINGS =====
+const SettingsManager = {
+  storageKey: 'kyntraSettings',
+
+  // Settings as shipped, before anything saved is merged in
+  defaults: Utils.clone(AppState.settings),
+
+  // Merge saved settings into the defaults (one level deep for grouped settings)
+  load: () => {
+    const saved = Utils.readStorage(SettingsManager.storageKey, {});
+    Object.entries(saved).forEach(([key, value]) => {
+      const current = AppState.settings[key];
+      const isGroup = current && typeof current === 'object' && !Array.isArray(current);
+      AppState.settings[key] = isGroup ? { ...current, ...value } : value;
+    });
+  },
+
+  // Persist settings
+  save: () => {
+    Utils.writeStorage(SettingsManager.storageKey, AppState.settings);
+  },
+
+  // Change one or more settings and persist them
+  update: (changes) => {
+    Object.assign(AppState.settings, changes);
+    SettingsManager.save();
+  },
+
+  // Change a single setting by dotted path, e.g. "letterhead.agencyName"
+  set: (path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => {
+      if (!obj[key] || typeof obj[key] !== 'object') obj[key] = {};
+      return obj[key];
+    }, AppState.settings);
+
+    target[last] = value;
+    SettingsManager.save();
+  }
+};
+
+// ===== SETTINGS PANEL =====
+const SettingsPanel = {
+  // Save any input marked with data-setting as it changes
+  init: () => {
+    document.querySelectorAll('[data-setting]').forEach(input => {
+      const eventName = input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input';
+      input.addEventListener(eventName, () => {
+        let value = input.value;
+        if (input.type === 'checkbox') value = input.checked;
+        if (input.type === 'number') value = Number(input.value);
+        SettingsManager.set(input.dataset.setting, value);
+
+        const onChange = SettingsPanel.onChange[input.dataset.setting.split('.')[0]];
+        if (onChange) onChange();
+      });
+    });
+  },
+
+  // Refresh dependent UI when a settings group changes
+  onChange: {
+    caseNumbering: () => {
+      CaseNumbering.apply();
+      SettingsPanel.renderCaseNumberPreview();
+    },
+    security: () => {
+      Vault.resetTimer();
+      // Drop CI drafts already in storage once they are excluded from auto-save
+      if (!FormManager.shouldPersist('ci-report')) {
+        DraftManager.getDrafts('ci-report').forEach(draft => DataStore.delete('drafts', draft.id));
+      }
+      DraftManager.renderUpdated();
+    },
+    autoSave: () => {
+      DraftManager.renderUpdated();
+    },
+    profile: () => {
+      OfficerRoster.renderOptions();
+    },
+    dates: () => {
+      SettingsPanel.renderDatePreview();
+      // Fires on every keystroke, so leave edited output alone rather than asking each time
+      if (!OutputManager.edited) OutputManager.render();
+    }
+  },
+
+  // Show the current time in the configured date format and time zone
+  renderDatePreview: () => {
+    const preview = document.getElementById('datePreview');
+    if (preview) {
+      preview.textContent = `Example: ${FieldFormatter.formatDate(new Date(), true)}`;
+    }
+  },
+
+  // Show an example of the configured case number format
+  renderCaseNumberPreview: () => {
+    const preview = document.getElementById('caseNumberPreview');
+    if (preview) {
+      preview.textContent = `Example: ${CaseNumbering.describe()} · Next available: ${CaseNumbering.next()}`;
+    }
+  },
+
+  // Open the settings dialog
+  open: () => {
+    SettingsPanel.render();
+    ModalManager.open('settingsPanel');
+  },
+
+  // Fill settings inputs from current settings
+  render: () => {
+    document.querySelectorAll('[data-setting]').forEach(input => {
+      const value = TemplateEngine.resolve(AppState.settings, input.dataset.setting);
+      if (input.type === 'checkbox') {
+        input.checked = !!value;
+      } else {
+        input.value = value ?? '';
+      }
+    });
+
+    SettingsPanel.renderCaseNumberPreview();
+    SettingsPanel.renderDatePreview();
+    OfficerRoster.render();
+
+    const { sealImage } = AppState.settings.letterhead;
+    const preview = document.getElementById('sealPreview');
+    preview.src = sealImage || '';
+    preview.style.display = sealImage ? 'block' : 'none';
+  },
+
+  // Convert an uploaded seal image to a small JPEG for embedding in PDFs
+  uploadSeal: (input) => {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const image = new Image();
+      image.onload = () => {
+        const scale = Math.min(1, 300 / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+
+        // White background so transparent PNGs don't turn black
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        SettingsManager.update({
+          letterhead: {
+            ...AppState.settings.letterhead,
+            sealImage: canvas.toDataURL('image/jpeg', 0.9),
+            sealWidth: canvas.width,
+            sealHeight: canvas.height
+          }
+        });
+        SettingsPanel.render();
+        StatusManager.success('Agency seal updated');
+      };
+      image.onerror = () => StatusManager.error('Could not read seal image');
+      image.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  },
+
+  // Remove the agency seal
+  removeSeal: () => {
+    SettingsManager.update({
+      letterhead: { ...AppState.settings.letterhead, sealImage: '', sealWidth: 0, sealHeight: 0 }
+    });
+    SettingsPanel.render();
+  }
+};
+
+// ===== PDF BUILDER =====
+// Minimal PDF 1.4 writer using the standard Type 1 fonts, so no font files are needed
+const PdfBuilder = {
+  fonts: {
+    F1: 'Helvetica',
+    F2: 'Helvetica-Bold',
+    F3: 'Courier',
+    F4: 'Courier-Bold'
+  },
+
+  // Helvetica glyph widths (1/1000 em) for characters 32-126
+  helveticaWidths: [278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,278,278,584,584,584,556,1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,667,778,722,667,611,722,667,944,667,667,611,278,278,278,469,556,333,556,556,500,556,556,278,556,556,222,222,500,222,833,556,556,556,556,333,500,278,556,500,722,500,500,500,334,260,334,584],
+
+  // Unicode characters that have a WinAnsi code outside Latin-1
+  winAnsiExtras: {
+    0x20AC: 0x80, 0x2026: 0x85, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93,
+    0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x2122: 0x99
+  },
+
+  // Create an empty document
+  createDocument: (width = 612, height = 792) => {
+    return { width, height, pages: [], images: [] };
+  },
+
+  // Add a page and return it
+  addPage: (doc) => {
+    const page = { content: [] };
+    doc.pages.push(page);
+    return page;
+  },
+
+  // Map text to single-byte WinAnsi characters, replacing anything unsupported
+  encodeText: (text) => {
+    return Array.from(String(text).replace(/\t/g, '    ')).map(char => {
+      const code = char.codePointAt(0);
+      if (code >= 0x20 && code <= 0x7E) return char;
+      if (code >= 0xA0 && code <= 0xFF) return char;
+      if (PdfBuilder.winAnsiExtras[code]) return String.fromCharCode(PdfBuilder.winAnsiExtras[code]);
+      return '?';
+    }).join('');
+  },
+
+  // Approximate width of Helvetica text in points
+  textWidth: (text, size, bold = false) => {
+    const units = Array.from(PdfBuilder.encodeText(text)).reduce((total, char) => {
+      const code = char.charCodeAt(0);
+      return total + (PdfBuilder.helveticaWidths[code - 32] || 556);
+    }, 0);
+    return (units * size / 1000) * (bold ? 1.06 : 1);
+  },
+
+  // Draw text with its baseline at (x, y)
+  text: (page, x, y, text, font = 'F1', size = 10) => {
+    const encoded = PdfBuilder.encodeText(text).replace(/[\\()]/g, '\\$&');
+    page.content.push(`BT /${font} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${encoded}) Tj ET`);
+  },
+
+  // Draw a straight line
+  line: (page, x1, y1, x2, y2, width = 0.5) => {
+    page.content.push(`${width} w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+  },
+
+  // Register a JPEG image (data URL) and return its resource name
+  addJpeg: (doc, dataUrl, width, height) => {
+    const name = `Im${doc.images.length + 1}`;
+    doc.images.push({ name, bytes: Utils.base64ToBytes(dataUrl), width, height });
+    return name;
+  },
+
+  // Draw a registered image with its lower-left corner at (x, y)
+  image: (page, name, x, y, width, height) => {
+    page.content.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /${name} Do Q`);
+  },
+
+  // Convert a binary string to bytes
+  toBytes: (text) => {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  },
+
+  // Serialize the document to PDF bytes
+  build: (doc) => {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (data) => {
+      const bytes = typeof data === 'string' ? PdfBuilder.toBytes(data) : data;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+
+    const writeObject = (id, ...parts) => {
+      offsets[id] = length;
+      write(`${id} 0 obj\n`);
+      parts.forEach(write);
+      write('\nendobj\n');
+    };
+
+    const fontNames = Object.keys(PdfBuilder.fonts);
+    const fontId = (index) => 3 + index;
+    const imageId = (index) => 3 + fontNames.length + index;
+    const firstPageId = 3 + fontNames.length + doc.images.length;
+    const pageIds = doc.pages.map((page, index) => firstPageId + index * 2);
+
+    const resources = `<< /Font << ${fontNames.map((name, i) => `/${name} ${fontId(i)} 0 R`).join(' ')} >>` +
+      ` /XObject << ${doc.images.map((image, i) => `/${image.name} ${imageId(i)} 0 R`).join(' ')} >> >>`;
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+    fontNames.forEach((name, i) => {
+      writeObject(fontId(i), `<< /Type /Font /Subtype /Type1 /BaseFont /${PdfBuilder.fonts[name]} /Encoding /WinAnsiEncoding >>`);
+    });
+
+    doc.images.forEach((image, i) => {
+      writeObject(imageId(i),
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+        image.bytes,
+        '\nendstream');
+    });
+
+    doc.pages.forEach((page, index) => {
+      const content = PdfBuilder.toBytes(page.content.join('\n'));
+      writeObject(pageIds[index],
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${doc.width} ${doc.height}] ` +
+        `/Resources ${resources} /Contents ${pageIds[index] + 1} 0 R >>`);
+      writeObject(pageIds[index] + 1, `<< /Length ${content.length} >>\nstream\n`, content, '\nendstream');
+    });
+
+    const xrefOffset = length;
+    const objectCount = firstPageId + doc.pages.length * 2;
+    let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objectCount; id++) {
+      xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    write(xref);
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    const output = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+      output.set(chunk, position);
+      position += chunk.length;
+    });
+    return output;
+  }
+};
+
+// ===== PDF EXPORT =====
+const PdfExport = {
+  margin: 54,
+  bodySize: 10,
+  lineHeight: 13,
+  charWidth: 6, // Courier is 600/1000 em wide
+
+  // Lay out a report on letter-size pages with letterhead, headers and page numbers,
+  // using the given report text when the user has edited it
+  build: (reportType, formData, text = null) => {
+    const { margin, bodySize, lineHeight } = PdfExport;
+    const letterhead = AppState.settings.letterhead;
+    const doc = PdfBuilder.createDocument(612, 792);
+    const template = ReportTemplates.get(reportType);
+    const title = TemplateEngine.interpolate(template.title, formData);
+    const caseNumber = ReportTypes.getCaseNumber(reportType, formData);
+    const seal = letterhead.sealImage
+      ? PdfBuilder.addJpeg(doc, letterhead.sealImage, letterhead.sealWidth, letterhead.sealHeight)
+      : null;
+
+    // Body text is the given text or the plain format, minus the title lines before the first blank line
+    const body = text || ReportGenerator.buildReport(reportType, formData, template, ReportFormats.plain);
+    const lines = body.replace(/\s+$/, '').split('\n');
+    const bodyLines = lines.slice(Math.max(lines.indexOf(''), 0));
+    const maxChars = Math.floor((doc.width - margin * 2) / PdfExport.charWidth);
+    const bottom = margin + 30;
+
+    let page;
+    let y;
+    const newPage = () => {
+      page = PdfBuilder.addPage(doc);
+      y = doc.pages.length === 1
+        ? PdfExport.drawLetterhead(doc, page, { letterhead, seal, title, caseNumber })
+        : PdfExport.drawRunningHeader(doc, page, { letterhead, title, caseNumber });
+    };
+    newPage();
+
+    bodyLines.forEach(line => {
+      const isLabel = /^\S.{0,70}:$/.test(line);
+      Utils.wrapText(line, maxChars).forEach(part => {
+        if (y < bottom) newPage();
+        if (part) {
+          PdfBuilder.text(page, margin, y, part, isLabel ? 'F4' : 'F3', bodySize);
+        }
+        y -= lineHeight;
+      });
+    });
+
+    // Signature line
+    if (letterhead.showSignature) {
+      if (y - 60 < bottom) newPage();
+      y -= 36;
+      PdfBuilder.line(page, margin, y, margin + 230, y);
+      PdfBuilder.line(page, margin + 290, y, margin + 430, y);
+      PdfBuilder.text(page, margin, y - 12, letterhead.signatureLabel || 'Signature', 'F1', 9);
+      PdfBuilder.text(page, margin + 290, y - 12, 'Date', 'F1', 9);
+    }
+
+    // Page numbers and generation date
+    const generated = `Generated ${FieldFormatter.formatDate(new Date(), true)}`;
+    doc.pages.forEach((pdfPage, index) => {
+      const label = `Page ${index + 1} of ${doc.pages.length}`;
+      PdfBuilder.line(pdfPage, margin, margin - 6, doc.width - margin, margin - 6, 0.25);
+      PdfBuilder.text(pdfPage, margin, margin - 18, generated, 'F1', 8);
+      PdfBuilder.text(pdfPage, doc.width - margin - PdfBuilder.textWidth(label, 8), margin - 18, label, 'F1', 8);
+    });
+
+    return PdfBuilder.build(doc);
+  },
+
+  // First-page letterhead; returns the y position where the body starts
+  drawLetterhead: (doc, page, { letterhead, seal, title, caseNumber }) => {
+    const { margin } = PdfExport;
+    const center = (text, y, font, size) => {
+      const x = (doc.width - PdfBuilder.textWidth(text, size, font === 'F2')) / 2;
+      PdfBuilder.text(page, x, y, text, font, size);
+    };
+
+    const top = doc.height - margin;
+    let y = top;
+
+    if (seal) {
+      const height = 64;
+      const width = Math.min(128, height * letterhead.sealWidth / letterhead.sealHeight);
+      PdfBuilder.image(page, seal, margin, top - height, width, height);
+    }
+
+    if (caseNumber) {
+      const label = `Case No. ${caseNumber}`;
+      PdfBuilder.text(page, doc.width - margin - PdfBuilder.textWidth(label, 9), top - 8, label, 'F1', 9);
+    }
+
+    const lines = letterhead.lines.split('\n').map(line => line.trim()).filter(Boolean);
+    if (letterhead.agencyName || lines.length > 0 || seal) {
+      y -= 16;
+      if (letterhead.agencyName) {
+        center(letterhead.agencyName, y, 'F2', 16);
+        y -= 14;
+      }
+      lines.forEach(line => {
+        center(line, y, 'F1', 9);
+        y -= 11;
+      });
+
+      y = Math.min(y, seal ? top - 64 : y) - 8;
+      PdfBuilder.line(page, margin, y, doc.width - margin, y, 1);
+      y -= 12;
+    }
+
+    y -= 16;
+    center(title, y, 'F2', 14);
+    return y - 28;
+  },
+
+  // Header for continuation pages; returns the y position where the body starts
+  drawRunningHeader: (doc, page, { letterhead, title, caseNumber }) => {
+    const { margin } = PdfExport;
+    const top = doc.height - margin;
+
+    PdfBuilder.text(page, margin, top - 8, letterhead.agencyName || title, 'F2', 9);
+    if (caseNumber) {
+      const label = `Case No. ${caseNumber}`;
+      PdfBuilder.text(page, doc.width - margin - PdfBuilder.textWidth(label, 9), top - 8, label, 'F1', 9);
+    }
+    PdfBuilder.line(page, margin, top - 14, doc.width - margin, top - 14, 0.25);
+    return top - 34;
+  }
+};
+
+// ===== REDACTION =====
+// Replaces sensitive values with consistent placeholders, e.g. every mention of one person becomes [PERSON-1]
+const Redactor = {
+  // Rules selected for the current session, per report type
+  selection: {},
+
+  rules: {
+    names: {
+      label: 'Names',
+      placeholder: 'PERSON',
+      fields: ['offenderName', 'intervieweeName', 'suspectName'],
+      listFields: { suspects: 'name', witnessEntries: 'name', vehicles: 'owner' }
+    },
+    suspectIds: {
+      label: 'Suspect IDs',
+      placeholder: 'ID',
+      listFields: { suspects: 'id' }
+    },
+    ciIdentifier: {
+      label: 'CI identifiers',
+      placeholder: 'CI',
+      fields: ['ciIdentifier']
+    },
+    addresses: {
+      label: 'Addresses',
+      placeholder: 'ADDRESS',
+      fields: ['offenderAddress', 'targetLocation']
+    },
+    dob: {
+      label: 'Dates of birth',
+      placeholder: 'DOB',
+      fields: ['offenderDOB']
+    },
+    licenses: {
+      label: 'Driver\'s licenses',
+      placeholder: 'LICENSE',
+      fields: ['offenderLicense']
+    },
+    plates: {
+      label: 'License plates',
+      placeholder: 'PLATE',
+      fields: ['vehiclePlate'],
+      listFields: { vehicles: 'plate' }
+    },
+    contacts: {
+      label: 'Emails, SSNs and phone numbers in text',
+      patterns: [
+        { placeholder: 'EMAIL', regex: /\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g },
+        { placeholder: 'SSN', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+        { placeholder: 'PHONE', regex: /(?:\+?1[-.\s]?)?\(?\b\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/g }
+      ]
+    }
+  },
+
+  // Rules used when no profile has been saved for a report type
+  defaultProfiles: {
+    'arrest': ['names', 'suspectIds', 'contacts'],
+    'citation': ['addresses', 'dob', 'licenses', 'plates', 'contacts'],
+    'case-opening': ['suspectIds', 'contacts'],
+    'investigative-update': ['contacts'],
+    'interview': ['names', 'contacts'],
+    'ci-report': ['ciIdentifier', 'contacts'],
+    'warrant': ['names', 'addresses', 'suspectIds', 'contacts'],
+    'case-closure': ['contacts']
+  },
+
+  // Saved or default profile for a report type
+  getProfile: (reportType) => {
+    return AppState.settings.redaction[reportType] || Redactor.defaultProfiles[reportType] || [];
+  },
+
+  // Rules currently selected for a report type
+  getSelection: (reportType) => {
+    return Redactor.selection[reportType] || Redactor.getProfile(reportType);
+  },
+
+  // Template block that renders each list redacted by listFields
+  listBlocks: {
+    suspects: 'suspects',
+    witnessEntries: 'witnesses',
+    vehicles: 'vehicles'
+  },
+
+  // Rules that can match something in a report type
+  getAvailableRules: (reportType) => {
+    const section = document.getElementById(reportType);
+    const blockTypes = ReportTemplates.get(reportType).blocks.map(block => block.type);
+
+    return Object.keys(Redactor.rules).filter(key => {
+      const rule = Redactor.rules[key];
+      if (rule.patterns) return true;
+      if (Object.keys(rule.listFields || {}).some(list => blockTypes.includes(Redactor.listBlocks[list]))) return true;
+      return (rule.fields || []).some(field => section && section.querySelector(`#${field}`));
+    });
+  },
+
+  // Redact form data; returns the redacted copy and the list of replacements made
+  redact: (reportType, formData, ruleKeys = Redactor.getSelection(reportType)) => {
+    const data = Utils.clone(formData);
+    const replacements = new Map();
+    const counters = {};
+
+    const placeholderFor = (ruleKey, label, value) => {
+      const original = String(value).trim();
+      const key = original.toLowerCase();
+      if (!replacements.has(key)) {
+        counters[label] = (counters[label] || 0) + 1;
+        replacements.set(key, { rule: ruleKey, original, placeholder: `[${label}-${counters[label]}]` });
+      }
+      return replacements.get(key).placeholder;
+    };
+
+    // Replace whole field values
+    ruleKeys.forEach(ruleKey => {
+      const rule = Redactor.rules[ruleKey];
+      if (!rule) return;
+
+      (rule.fields || []).forEach(field => {
+        if (typeof data[field] === 'string' && data[field].trim()) {
+          data[field] = placeholderFor(ruleKey, rule.placeholder, data[field]);
+        }
+      });
+
+      Object.entries(rule.listFields || {}).forEach(([list, property]) => {
+        if (!Array.isArray(data[list])) return;
+        data[list].forEach(entry => {
+          const value = entry[property];
+          if (value && value.trim()) {
+            entry[property] = placeholderFor(ruleKey, rule.placeholder, value);
+          }
+        });
+      });
+    });
+
+    // Replace the same values wherever they appear in free text, longest first
+    const known = [...replacements.values()]
+      .filter(item => item.original.length >= 3)
+      .sort((a, b) => b.original.length - a.original.length);
+    const patterns = ruleKeys.flatMap(ruleKey => {
+      return (Redactor.rules[ruleKey]?.patterns || []).map(pattern => ({ ruleKey, ...pattern }));
+    });
+
+    const scrub = (text) => {
+      let result = text;
+      known.forEach(item => {
+        // Whole words only, so "Tom" doesn't match inside "custom" or "bottom"
+        const escaped = item.original.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'giu');
+        result = result.replace(pattern, (match, before) => `${before}${item.placeholder}`);
+      });
+      patterns.forEach(pattern => {
+        result = result.replace(pattern.regex, match => placeholderFor(pattern.ruleKey, pattern.placeholder, match));
+      });
+      return result;
+    };
+
+    const walk = (value) => {
+      if (typeof value === 'string') return scrub(value);
+      if (Array.isArray(value)) return value.map(walk);
+      if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => { value[key] = walk(value[key]); });
+      }
+      return value;
+    };
+
+    return { formData: walk(data), replacements: [...replacements.values()] };
+  },
+
+  // Open the redaction dialog for the displayed report
+  open: () => {
+    if (!AppState.lastReport) {
+      StatusManager.warning('Generate a report first');
+      return;
+    }
+    Redactor.render();
+    ModalManager.open('redactionPanel');
+  },
+
+  // Turn a rule on or off for the current report type
+  toggleRule: (ruleKey, enabled) => {
+    const { type } = AppState.lastReport;
+    const selection = Redactor.getSelection(type).filter(key => key !== ruleKey);
+    if (enabled) selection.push(ruleKey);
+
+    Redactor.selection[type] = selection;
+    Redactor.render();
+    if (OutputManager.redacted && OutputManager.confirmReplace()) OutputManager.render();
+  },
+
+  // Save the current selection as the default for this report type
+  saveProfile: () => {
+    const { type } = AppState.lastReport;
+    SettingsManager.update({
+      redaction: { ...AppState.settings.redaction, [type]: Redactor.getSelection(type) }
+    });
+    StatusManager.success(`Default redaction saved for ${ReportTypes.getLabel(type)}`);
+  },
+
+  // Show or hide the redacted output
+  toggleOutput: () => {
+    OutputManager.setRedacted(!OutputManager.redacted);
+    Redactor.render();
+  },
+
+  // Render rule checkboxes and the replacement preview
+  render: () => {
+    const { type, formData } = AppState.lastReport;
+    const selection = Redactor.getSelection(type);
+    const { replacements } = Redactor.redact(type, formData, selection);
+
+    document.getElementById('redactionSummary').textContent =
+      `${ReportTypes.getLabel(type)} · ${replacements.length} value${replacements.length === 1 ? '' : 's'} will be redacted`;
+
+    document.getElementById('redactionRules').innerHTML = Redactor.getAvailableRules(type).map(key => `
+      <label class="checkbox-field">
+        <input type="checkbox" data-rule="${key}" ${selection.includes(key) ? 'checked' : ''}
+          onchange="Redactor.toggleRule(this.dataset.rule, this.checked)">
+        ${Utils.escapeHtml(Redactor.rules[key].label)}
+      </label>
+    `).join('');
+
+    document.getElementById('redactionPreview').innerHTML = replacements.length === 0
+      ? '<p class="field-hint">Nothing to redact with the selected rules.</p>'
+      : `
+        <table class="data-table">
+          <thead><tr><th>Original</th><th>Replaced With</th><th>Rule</th></tr></thead>
+          <tbody>
+            ${replacements.map(item => `
+              <tr>
+                <td class="diff-removed">${Utils.escapeHtml(item.original)}</td>
+                <td>${Utils.escapeHtml(item.placeholder)}</td>
+                <td>${Utils.escapeHtml(Redactor.rules[item.rule].label)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+
+    document.getElementById('redactionToggle').textContent = OutputManager.redacted ? 'Show Original Output' : 'Show Redacted Output';
+  }
+};
+
+// ===== REPORT HISTORY =====
+const ReportHistory = {
+  // Load saved history and hook up filter inputs
+  init: async () => {
+    await ReportHistory.load();
+
+    ['historySearch', 'historyType', 'historyDateFrom', 'historyDateTo', 'historyCaseNumber'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('input', ReportHistory.render);
+      }
+    });
+
+    ReportHistory.render();
+  },
+
+  // Load history from storage, oldest first
+  load: async () => {
+    const reports = await DataStore.getAll('reports');
+    AppState.generatedReports = reports.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  },
+
+  // Replace all stored reports with the in-memory history
+  save: () => {
+    return DataStore.replaceAll('reports', AppState.generatedReports);
+  },
+
+  // Add a generated report to history
+  add: (entry) => {
+    const historyEntry = { id: Utils.generateId(), ...entry };
+    AppState.generatedReports.push(historyEntry);
+    DataStore.put('reports', historyEntry);
+    ReportHistory.render();
+    CaseRegistry.recordReport(historyEntry);
+    PersonDirectory.recordReport(historyEntry);
+    return historyEntry;
+  },
+
+  // Find a history entry by id
+  get: (id) => {
+    return AppState.generatedReports.find(entry => entry.id === id);
+  },
+
+  // Get current filter values from the history panel
+  getFilters: () => {
+    const value = (id) => document.getElementById(id)?.value.trim() || '';
+    return {
+      search: value('historySearch').toLowerCase(),
+      type: value('historyType'),
+      dateFrom: value('historyDateFrom'),
+      dateTo: value('historyDateTo'),
+      caseNumber: value('historyCaseNumber').toUpperCase()
+    };
+  },
+
+  // Get history entries matching the filters, newest first
+  getFiltered: (filters = ReportHistory.getFilters()) => {
+    return AppState.generatedReports.filter(entry => {
+      if (filters.type && entry.type !== filters.type) return false;
+
+      const date = Utils.toDateInputValue(entry.timestamp);
+      if (filters.dateFrom && date < filters.dateFrom) return false;
+      if (filters.dateTo && date > filters.dateTo) return false;
+
+      if (filters.caseNumber) {
+        const caseNumber = ReportTypes.getCaseNumber(entry.type, entry.formData).toUpperCase();
+        if (!caseNumber.includes(filters.caseNumber)) return false;
+      }
+
+      if (filters.search && !entry.content.toLowerCase().includes(filters.search)) return false;
+
+      return true;
+    }).reverse();
+  },
+
+  // Render the history list
+  render: () => {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+
+    const entries = ReportHistory.getFiltered();
+
+    if (entries.length === 0) {
+      const message = AppState.generatedReports.length === 0
+        ? 'No reports generated yet'
+        : 'No reports match the current filters';
+      list.innerHTML = `<p class="placeholder-text">${message}</p>`;
+      return;
+    }
+
+    list.innerHTML = entries.map(entry => {
+      const caseNumber = ReportTypes.getCaseNumber(entry.type, entry.formData);
+      const preview = ReportHistory.getPreview(entry);
+
+      return `
+        <div class="history-item">
+          <div class="history-info">
+            <div class="history-meta">
+              <span class="history-type">${Utils.escapeHtml(ReportTypes.getLabel(entry.type))}</span>
+              ${caseNumber ? `<span class="history-case">${Utils.escapeHtml(caseNumber)}</span>` : ''}
+              ${entry.revision ? `<span class="history-revision">Rev ${entry.revision}${entry.submittedAt ? ' · Submitted' : ''}</span>` : ''}
+              <span class="history-date">${Utils.escapeHtml(Utils.formatDate(entry.timestamp))}</span>
+            </div>
+            <p class="history-preview">${Utils.escapeHtml(preview)}</p>
+          </div>
+          <div class="history-actions">
+            <button class="action-btn secondary" onclick="ReportHistory.reopen('${entry.id}')">📄 Open</button>
+            <button class="action-btn secondary" onclick="ReportHistory.edit('${entry.id}')">✏️ Edit</button>
+            <button class="remove-btn" onclick="ReportHistory.remove('${entry.id}')" title="Delete entry">×</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  },
+
+  // Short single-line preview of the report body, skipping the header and underline
+  getPreview: (entry) => {
+    return entry.content.split('\n').slice(2).join(' ').replace(/\s+/g, ' ').trim().substring(0, 160);
+  },
+
+  // Show a history entry in the output pane
+  reopen: (id) => {
+    const entry = ReportHistory.get(id);
+    if (!entry) return;
+
+    ModalManager.closeAll();
+    OutputManager.show(entry.content, entry.type, entry.formData, entry.format);
+    const format = entry.format && entry.format !== AppState.settings.outputFormat ? ` (${ReportFormats.get(entry.format).label})` : '';
+    StatusManager.info(`Opened ${ReportTypes.getLabel(entry.type)} from ${Utils.formatDate(entry.timestamp)}${format}`);
+
+    document.querySelector('.output-container').scrollIntoView({
+      behavior: 'smooth',
+      block: 'nearest'
+    });
+  },
+
+  // Load a history entry's form data back into its section for editing
+  edit: (id) => {
+    const entry = ReportHistory.get(id);
+    if (!entry) return;
+
+    ModalManager.closeAll();
+    if (!Navigation.switchReport(entry.type)) return;
+    DraftManager.create(`${ReportTypes.getLabel(entry.type)} - ${Utils.formatDate(entry.timestamp)}`, entry.formData);
+
+    StatusManager.success(`Loaded ${ReportTypes.getLabel(entry.type)} into a new draft for editing`);
+    document.getElementById(entry.type).scrollIntoView({
+      behavior: 'smooth',
+      block: 'start'
+    });
+  },
+
+  // Delete a single history entry
+  remove: (id) => {
+    const removed = ReportHistory.get(id);
+    AppState.generatedReports = AppState.generatedReports.filter(entry => entry.id !== id);
+    DataStore.delete('reports', id);
+    ReportHistory.render();
+    if (removed) {
+      CaseRegistry.refresh([ReportTypes.getCaseNumber(removed.type, removed.formData)]);
+      PersonDirectory.prune([removed]);
+    }
+    StatusManager.info('History entry deleted');
+  },
+
+  // Delete all history entries
+  clear: () => {
+    if (AppState.generatedReports.length === 0) return;
+    if (!confirm('Delete all saved reports from history? Case files and people named only in these reports are removed too.')) return;
+
+    const removed = AppState.generatedReports;
+    AppState.generatedReports = [];
+    ReportHistory.save();
+    ReportHistory.render();
+    CaseRegistry.refresh(removed.map(entry => ReportTypes.getCaseNumber(entry.type, entry.formData)));
+    PersonDirectory.prune(removed);
+    StatusManager.success('Report history cleared');
+  }
+};
+
+// ===== REVISIONS =====
+// Reports generated from a draft are kept as numbered revisions that can be
+// compared and turned into a supplement listing changes since submission
+const Revisions = {
+  draftId: null,
+  fromId: null,
+  toId: null,
+  view: 'lines',
+
+  // Form data keys for lists and the template block that renders each
+  listBlocks: {
+    officers: 'officers',
+    suspects: 'suspects',
+    witnessEntries: 'witnesses',
+    vehicles: 'vehicles',
+    evidenceItems: 'evidence'
+  },
+
+  // History entries generated from a draft, oldest revision first
+  getRevisions: (draftId) => {
+    return AppState.generatedReports
+      .filter(entry => entry.draftId === draftId && entry.revision)
+      .sort((a, b) => a.revision - b.revision);
+  },
+
+  // Most recent revision of a draft, if any
+  getLatest: (draftId) => {
+    const revisions = Revisions.getRevisions(draftId);
+    return revisions[revisions.length - 1];
+  },
+
+  // Most recent submitted revision before a revision number
+  getLastSubmitted: (draftId, beforeRevision) => {
+    return Revisions.getRevisions(draftId)
+      .filter(entry => entry.submittedAt && entry.revision < beforeRevision)
+      .pop();
+  },
+
+  // Line-by-line diff as side-by-side rows of { type, left, right }
+  diffLines: (before, after) => {
+    const a = before.replace(/\s+$/, '').split('\n');
+    const b = after.replace(/\s+$/, '').split('\n');
+
+    // Longest common subsequence lengths, filled from the end
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    // Pair each run of removed lines with the added lines that replaced it
+    const flush = () => {
+      for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+        const left = removed[k];
+        const right = added[k];
+        const type = left !== undefined && right !== undefined ? 'changed' : left !== undefined ? 'removed' : 'added';
+        rows.push({ type, left, right });
+      }
+      removed = [];
+      added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        flush();
+        rows.push({ type: 'same', left: a[i], right: b[j] });
+        i++;
+        j++;
+      } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+        removed.push(a[i++]);
+      } else {
+        added.push(b[j++]);
+      }
+    }
+    flush();
+
+    return rows;
+  },
+
+  // Field-by-field differences as { key, label, type, before, after }
+  diffFields: (reportType, beforeData, afterData) => {
+    const display = (data) => FieldFormatter.formatFields(reportType, OfficerRoster.formatFields(data));
+    const before = display(beforeData);
+    const after = display(afterData);
+    const keys = [...new Set([...Object.keys(beforeData), ...Object.keys(afterData)])];
+
+    return keys
+      .filter(key => JSON.stringify(beforeData[key]) !== JSON.stringify(afterData[key]))
+      .map(key => ({
+        key,
+        label: Revisions.getLabel(reportType, key),
+        before: Revisions.describe(before[key]),
+        after: Revisions.describe(after[key])
+      }))
+      .filter(change => change.before !== change.after)
+      .map(change => ({
+        ...change,
+        type: !change.before ? 'added' : !change.after ? 'removed' : 'changed'
+      }));
+  },
+
+  // Label a field the way the report template does
+  getLabel: (reportType, key) => {
+    const block = ReportTemplates.get(reportType).blocks.find(item => {
+      return (item.type === 'field' && item.key === key) || Revisions.listBlocks[key] === item.type;
+    });
+    return (block && block.label) || ReportGenerator.formatLabel(key);
+  },
+
+  // Flatten a form value into comparable text
+  describe: (value) => {
+    if (value == null) return '';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) {
+      const items = value.map(Revisions.describe).filter(Boolean);
+      return items.join(value.some(item => item && typeof item === 'object') ? '\n' : ', ');
+    }
+    if (typeof value === 'object') {
+      return Object.values(value).map(Revisions.describe).filter(Boolean).join(' · ');
+    }
+    return String(value).trim();
+  },
+
+  // Supplement listing what changed between a submitted revision and a later one
+  buildSupplement: (base, current, format = ReportFormats.get()) => {
+    const template = ReportTemplates.get(current.type);
+    const caseNumber = ReportTypes.getCaseNumber(current.type, current.formData);
+    const changes = Revisions.diffFields(current.type, base.formData, current.formData);
+
+    let text = format.title(`SUPPLEMENT: ${TemplateEngine.interpolate(template.title, current.formData)}`);
+    if (caseNumber) text += format.field('Case Number', caseNumber);
+    text += format.field('Supplements', `Revision ${base.revision}, submitted ${FieldFormatter.formatDate(base.submittedAt, true)}`);
+    text += format.field('Revision', `${current.revision}, generated ${FieldFormatter.formatDate(current.timestamp, true)}`);
+
+    if (changes.length === 0) {
+      return text + format.text('No changes since the submitted revision.');
+    }
+
+    changes.forEach(change => {
+      text += format.field(change.label, `Previously: ${change.before || '(none)'}\nNow: ${change.after || '(removed)'}`);
+    });
+    return text;
+  },
+
+  // Open the revisions dialog for the active draft, comparing its last two revisions
+  open: () => {
+    const draft = DraftManager.getActive(AppState.currentReport);
+    const revisions = Revisions.getRevisions(draft.id);
+
+    Revisions.draftId = draft.id;
+    Revisions.toId = revisions.length > 0 ? revisions[revisions.length - 1].id : null;
+    Revisions.fromId = revisions.length > 1 ? revisions[revisions.length - 2].id : Revisions.toId;
+    Revisions.render();
+    ModalManager.open('revisionPanel');
+  },
+
+  // Show a revision against the one before it
+  select: (id) => {
+    const revisions = Revisions.getRevisions(Revisions.draftId);
+    const index = revisions.findIndex(entry => entry.id === id);
+    if (index < 0) return;
+
+    Revisions.toId = id;
+    Revisions.fromId = revisions[Math.max(index - 1, 0)].id;
+    Revisions.render();
+  },
+
+  // Change the compared revisions from the selectors
+  compare: () => {
+    Revisions.fromId = document.getElementById('revisionFrom').value;
+    Revisions.toId = document.getElementById('revisionTo').value;
+    Revisions.render();
+  },
+
+  // Switch between the line, field and supplement views
+  setView: (view) => {
+    Revisions.view = view;
+    Revisions.render();
+  },
+
+  // Mark a revision as submitted (or take the mark back)
+  toggleSubmitted: (id) => {
+    const entry = ReportHistory.get(id);
+    if (!entry) return;
+
+    entry.submittedAt = entry.submittedAt ? null : new Date().toISOString();
+    DataStore.put('reports', entry);
+    Revisions.render();
+    ReportHistory.render();
+    StatusManager.info(entry.submittedAt ? `Revision ${entry.revision} marked as submitted` : `Revision ${entry.revision} is no longer marked as submitted`);
+  },
+
+  // Supplement for the compared revision, or null when nothing before it was submitted
+  getSupplement: () => {
+    const current = ReportHistory.get(Revisions.toId);
+    const base = current && Revisions.getLastSubmitted(Revisions.draftId, current.revision);
+    return base ? Revisions.buildSupplement(base, current) : null;
+  },
+
+  // Copy the supplement to the clipboard
+  copySupplement: async () => {
+    const supplement = Revisions.getSupplement();
+    if (!supplement) return;
+
+    try {
+      await Utils.copyToClipboard(supplement);
+      StatusManager.success('Supplement copied to clipboard');
+    } catch (err) {
+      StatusManager.error('Failed to copy supplement');
+    }
+  },
+
+  // Download the supplement in the current output format
+  downloadSupplement: () => {
+    const supplement = Revisions.getSupplement();
+    if (!supplement) return;
+
+    const format = ReportFormats.get();
+    Utils.downloadFile(supplement, `supplement_${AppState.currentReport}_${Date.now()}.${format.extension}`, format.mimeType);
+    StatusManager.success('Supplement downloaded');
+  },
+
+  // Render the revision list, selectors and current view
+  render: () => {
+    Revisions.renderList();
+    Revisions.renderDiff();
+  },
+
+  // Render the draft's revisions, newest first
+  renderList: () => {
+    const list = document.getElementById('revisionList');
+    if (!list) return;
+
+    const revisions = Revisions.getRevisions(Revisions.draftId);
+    if (revisions.length === 0) {
+      list.innerHTML = '<p class="placeholder-text">Generate this draft\'s report to save its first revision</p>';
+      return;
+    }
+
+    list.innerHTML = revisions.slice().reverse().map(entry => `
+      <button class="case-list-item ${entry.id === Revisions.toId ? 'active' : ''}" onclick="Revisions.select('${entry.id}')">
+        <span class="history-revision">Revision ${entry.revision}${entry.submittedAt ? ' · Submitted' : ''}</span>
+        <span class="history-date">${Utils.escapeHtml(Utils.formatDate(entry.timestamp))}</span>
+      </button>
+    `).join('');
+  },
+
+  // Render the comparison between the selected revisions
+  renderDiff: () => {
+    const panel = document.getElementById('revisionDiff');
+    if (!panel) return;
+
+    const revisions = Revisions.getRevisions(Revisions.draftId);
+    const from = ReportHistory.get(Revisions.fromId);
+    const to = ReportHistory.get(Revisions.toId);
+    if (!from || !to) {
+      panel.innerHTML = '';
+      return;
+    }
+
+    const options = (selectedId) => revisions.map(entry => `
+      <option value="${entry.id}" ${entry.id === selectedId ? 'selected' : ''}>Revision ${entry.revision}</option>
+    `).join('');
+    const viewButton = (view, label) => `
+      <button class="action-btn secondary ${Revisions.view === view ? 'active' : ''}" onclick="Revisions.setView('${view}')">${label}</button>
+    `;
+
+    const controls = `
+      <div class="revision-controls">
+        <select id="revisionFrom" onchange="Revisions.compare()" ${Revisions.view === 'supplement' ? 'disabled' : ''}>${options(from.id)}</select>
+        <span>→</span>
+        <select id="revisionTo" onchange="Revisions.compare()">${options(to.id)}</select>
+        <div class="revision-views">
+          ${viewButton('lines', 'Lines')}
+          ${viewButton('fields', 'Fields')}
+          ${viewButton('supplement', 'Supplement')}
+        </div>
+      </div>
+      <div class="history-actions">
+        <button class="action-btn secondary" onclick="ReportHistory.reopen('${to.id}')">📄 Open Revision ${to.revision}</button>
+        <button class="action-btn secondary" onclick="Revisions.toggleSubmitted('${to.id}')">${to.submittedAt ? '↩️ Unmark Submitted' : '📨 Mark Submitted'}</button>
+      </div>
+    `;
+
+    panel.innerHTML = controls + Revisions.views[Revisions.view](from, to);
+  },
+
+  // HTML for each comparison view
+  views: {
+    lines: (from, to) => {
+      // Re-render both revisions as plain text so a change of output format isn't shown as a change
+      const render = (entry) => ReportGenerator.buildReport(entry.type, entry.formData, undefined, ReportFormats.plain);
+      const rows = Revisions.diffLines(render(from), render(to));
+      if (rows.every(row => row.type === 'same')) {
+        return '<p class="placeholder-text">The report text is the same in both revisions</p>';
+      }
+
+      const cell = (text) => `<td>${text === undefined ? '' : Utils.escapeHtml(text)}</td>`;
+      return `
+        <div class="revision-table">
+          <table class="data-table revision-lines">
+            <thead><tr><th>Revision ${from.revision}</th><th>Revision ${to.revision}</th></tr></thead>
+            <tbody>
+              ${rows.map(row => `<tr class="${row.type === 'same' ? '' : `diff-${row.type}`}">${cell(row.left)}${cell(row.right)}</tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    },
+
+    fields: (from, to) => {
+      const changes = Revisions.diffFields(to.type, from.formData, to.formData);
+      if (changes.length === 0) {
+        return '<p class="placeholder-text">No fields changed between these revisions</p>';
+      }
+
+      const cell = (text) => `<td>${Utils.escapeHtml(text || '—')}</td>`;
+      return `
+        <div class="revision-table">
+          <table class="data-table revision-fields">
+            <thead><tr><th>Field</th><th>Revision ${from.revision}</th><th>Revision ${to.revision}</th></tr></thead>
+            <tbody>
+              ${changes.map(change => `
+                <tr class="diff-${change.type}">${cell(change.label)}${cell(change.before)}${cell(change.after)}</tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    },
+
+    supplement: (from, to) => {
+      const base = Revisions.getLastSubmitted(Revisions.draftId, to.revision);
+      if (!base) {
+        return `<p class="placeholder-text">Mark a revision before revision ${to.revision} as submitted to write a supplement against it</p>`;
+      }
+
+      return `
+        <p class="field-hint">Changes in revision ${to.revision} since revision ${base.revision} was submitted</p>
+        <pre class="revision-supplement">${Utils.escapeHtml(Revisions.buildSupplement(base, to))}</pre>
+        <div class="history-actions">
+          <button class="action-btn secondary" onclick="Revisions.copySupplement()">📋 Copy</button>
+          <button class="action-btn secondary" onclick="Revisions.downloadSupplement()">💾 Download</button>
+        </div>
+      `;
+    }
+  }
+};
+
+// ===== CASE NUMBERING =====
+// Case numbers look like PREFIX-[YEAR-]SEQUENCE-SUFFIX, e.g. CID-0247-SO or CID-2024-0247-SO
+const CaseNumbering = {
+  // Current scheme from settings
+  getScheme: () => {
+    const scheme = AppState.settings.caseNumbering;
+    return {
+      prefix: (scheme.prefix || '').trim().toUpperCase(),
+      suffix: (scheme.suffix || '').trim().toUpperCase(),
+      padding: Math.min(Math.max(parseInt(scheme.padding, 10) || 1, 1), 10),
+      includeYear: !!scheme.includeYear
+    };
+  },
+
+  // Regex matching any case number in the current scheme
+  getPattern: () => {
+    const { prefix, suffix, includeYear } = CaseNumbering.getScheme();
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const parts = [
+      prefix && `${escape(prefix)}-`,
+      includeYear && '(\\d{4})-',
+      '(\\d+)',
+      suffix && `-${escape(suffix)}`
+    ].filter(Boolean);
+    return new RegExp(`^${parts.join('')}$`);
+  },
+
+  // Build a case number from a sequence number
+  format: (sequence, year = new Date().getFullYear()) => {
+    const { prefix, suffix, padding, includeYear } = CaseNumbering.getScheme();
+    return [
+      prefix,
+      includeYear && year,
+      String(sequence).padStart(padding, '0'),
+      suffix
+    ].filter(Boolean).join('-');
+  },
+
+  // Split a case number into year and sequence, or null if it doesn't match
+  parse: (caseNumber) => {
+    const match = CaseRegistry.normalize(caseNumber).match(CaseNumbering.getPattern());
+    if (!match) return null;
+
+    const { includeYear } = CaseNumbering.getScheme();
+    return {
+      year: includeYear ? parseInt(match[1], 10) : null,
+      sequence: parseInt(match[includeYear ? 2 : 1], 10)
+    };
+  },
+
+  // Example case number for hints
+  describe: () => {
+    return CaseNumbering.format(247);
+  },
+
+  // Format description for hints and messages, e.g. CID-YYYY-ReportNumber-SO
+  describeFormat: () => {
+    const { prefix, suffix, includeYear } = CaseNumbering.getScheme();
+    return [prefix, includeYear && 'YYYY', 'ReportNumber', suffix].filter(Boolean).join('-');
+  },
+
+  // Every case number saved locally: case files, history and drafts
+  getUsedNumbers: () => {
+    const numbers = new Set(Object.keys(CaseRegistry.cases));
+
+    AppState.generatedReports.forEach(entry => {
+      numbers.add(CaseRegistry.normalize(ReportTypes.getCaseNumber(entry.type, entry.formData)));
+    });
+
+    Object.entries(DraftManager.drafts).forEach(([reportType, store]) => {
+      store.drafts.forEach(draft => {
+        numbers.add(CaseRegistry.normalize(ReportTypes.getCaseNumber(reportType, draft.data)));
+      });
+    });
+
+    numbers.delete('');
+    return [...numbers];
+  },
+
+  // Next unused case number (sequences restart each year when the year is included)
+  next: () => {
+    const { includeYear } = CaseNumbering.getScheme();
+    const year = new Date().getFullYear();
+
+    const highest = CaseNumbering.getUsedNumbers().reduce((max, caseNumber) => {
+      const parsed = CaseNumbering.parse(caseNumber);
+      if (!parsed || (includeYear && parsed.year !== year)) return max;
+      return Math.max(max, parsed.sequence);
+    }, 0);
+
+    return CaseNumbering.format(highest + 1, year);
+  },
+
+  // Update pattern attributes, placeholders and hints on case number inputs
+  apply: () => {
+    const pattern = CaseNumbering.getPattern().source.replace(/^\^|\$$/g, '');
+    const example = CaseNumbering.describe();
+
+    Object.entries(ReportTypes.caseNumberFields).forEach(([reportType, fieldId]) => {
+      const input = document.querySelector(`#${reportType} #${fieldId}`);
+      if (!input) return;
+
+      input.pattern = pattern;
+      input.placeholder = example;
+      const hint = input.parentElement.querySelector('.field-hint');
+      if (hint) hint.textContent = `Format: ${CaseNumbering.describeFormat()} (e.g., ${example})`;
+    });
+  },
+
+  // Fill the current report's case number with the next unused number
+  useNext: (reportType = AppState.currentReport) => {
+    const input = document.querySelector(`#${reportType} #${ReportTypes.caseNumberFields[reportType]}`);
+    if (!input) return;
+
+    input.value = CaseNumbering.next();
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    StatusManager.info(`Assigned case number ${input.value}`);
+  }
+};
+
+// ===== CASE REGISTRY =====
+const CaseRegistry = {
+  cases: {},
+  selectedCase: null,
+
+  // Case details captured by the case opening file
+  caseFields: ['caseName', 'caseType', 'primaryDetective', 'caseLocation', 'dateOpened'],
+
+  // Fields filled from a known case, per report type (form field -> case property)
+  autofillFields: {
+    'case-opening': {
+      caseName: 'caseName',
+      caseType: 'caseType',
+      primaryDetective: 'primaryDetective',
+      caseLocation: 'caseLocation',
+      dateOpened: 'dateOpened'
+    },
+    'investigative-update': { investigatingDetective: 'primaryDetective' },
+    'interview': { interviewingDetectives: 'primaryDetective' },
+    'ci-report': { handlingDetective: 'primaryDetective' },
+    'warrant': { requestingDetective: 'primaryDetective' },
+    'case-closure': { closingDetective: 'primaryDetective' }
+  },
+
+  // Load registry and hook up case number inputs
+  init: async () => {
+    const records = await DataStore.getAll('cases');
+    CaseRegistry.cases = {};
+    records.forEach(record => { CaseRegistry.cases[record.caseNumber] = record; });
+
+    if (records.length === 0 && AppState.generatedReports.length > 0) {
+      // Build the registry from history saved before case files existed
+      AppState.generatedReports.forEach(entry => CaseRegistry.recordReport(entry, false));
+      CaseRegistry.save();
+    }
+
+    Object.entries(ReportTypes.caseNumberFields).forEach(([reportType, fieldId]) => {
+      const input = document.querySelector(`#${reportType} #${fieldId}`);
+      if (input) {
+        input.addEventListener('change', () => CaseRegistry.autofill(reportType));
+      }
+    });
+
+    const search = document.getElementById('caseSearch');
+    if (search) {
+      search.addEventListener('input', CaseRegistry.renderList);
+    }
+  },
+
+  // Replace all stored cases with the in-memory registry
+  save: () => {
+    DataStore.replaceAll('cases', Object.values(CaseRegistry.cases));
+  },
+
+  // Normalize a case number for use as a key
+  normalize: (caseNumber) => {
+    return (caseNumber || '').trim().toUpperCase();
+  },
+
+  // Get a case record by number
+  get: (caseNumber) => {
+    return CaseRegistry.cases[CaseRegistry.normalize(caseNumber)];
+  },
+
+  // Register a saved report under its case number
+  recordReport: (entry, persist = true) => {
+    const caseNumber = CaseRegistry.normalize(ReportTypes.getCaseNumber(entry.type, entry.formData));
+    if (!caseNumber) return;
+
+    const record = CaseRegistry.cases[caseNumber] || { caseNumber, createdAt: entry.timestamp };
+    const formData = entry.formData || {};
+
+    if (entry.type === 'case-opening') {
+      CaseRegistry.caseFields.forEach(field => {
+        if (formData[field]) record[field] = formData[field];
+      });
+    }
+
+    if (entry.type === 'case-closure' && formData.caseStatus) {
+      record.status = formData.caseStatus;
+    }
+
+    record.updatedAt = entry.timestamp;
+    CaseRegistry.cases[caseNumber] = record;
+
+    if (persist) {
+      DataStore.put('cases', record);
+      CaseRegistry.renderList();
+    }
+  },
+
+  // Rebuild cases from the history still saved, dropping those left without reports
+  refresh: (caseNumbers) => {
+    caseNumbers.map(CaseRegistry.normalize).filter(Boolean).forEach(caseNumber => {
+      const record = CaseRegistry.cases[caseNumber];
+      if (!record) return;
+
+      delete CaseRegistry.cases[caseNumber];
+      const entries = AppState.generatedReports
+        .filter(entry => CaseRegistry.normalize(ReportTypes.getCaseNumber(entry.type, entry.formData)) === caseNumber);
+      if (entries.length === 0) {
+        DataStore.delete('cases', caseNumber);
+        if (CaseRegistry.selectedCase === caseNumber) CaseRegistry.selectedCase = null;
+        return;
+      }
+
+      CaseRegistry.cases[caseNumber] = { caseNumber, createdAt: record.createdAt };
+      entries.forEach(entry => CaseRegistry.recordReport(entry, false));
+      DataStore.put('cases', CaseRegistry.cases[caseNumber]);
+    });
+
+    CaseRegistry.renderList();
+    CaseRegistry.renderDetails();
+  },
+
+  // Get every saved report for a case in chronological order
+  getReports: (caseNumber) => {
+    const key = CaseRegistry.normalize(caseNumber);
+    return AppState.generatedReports
+      .filter(entry => CaseRegistry.normalize(ReportTypes.getCaseNumber(entry.type, entry.formData)) === key)
+      .map(entry => ({ entry, date: ReportTypes.getEventDate(entry.type, entry.formData, entry.timestamp) }))
+      .sort((a, b) => a.date - b.date);
+  },
+
+  // Fill empty related fields when a known case number is entered
+  autofill: (reportType) => {
+    const section = document.getElementById(reportType);
+    const caseInput = section?.querySelector(`#${ReportTypes.caseNumberFields[reportType]}`);
+    const record = caseInput && CaseRegistry.get(caseInput.value);
+    if (!record) return;
+
+    let filled = 0;
+    Object.entries(CaseRegistry.autofillFields[reportType] || {}).forEach(([fieldId, property]) => {
+      const input = section.querySelector(`#${fieldId}`);
+      if (input && !input.value && record[property]) {
+        input.value = record[property];
+        filled++;
+      }
+    });
+
+    if (filled > 0) {
+      FormManager.saveFormData();
+      StatusManager.info(`Filled ${filled} field(s) from case ${record.caseNumber}`);
+    }
+  },
+
+  // Open the case files dialog
+  open: (caseNumber) => {
+    const current = ReportTypes.getCaseNumber(AppState.currentReport, FormManager.getFormData(AppState.currentReport));
+    CaseRegistry.selectedCase = CaseRegistry.normalize(caseNumber || current) || CaseRegistry.selectedCase;
+    CaseRegistry.renderList();
+    CaseRegistry.renderDetails();
+    ModalManager.open('caseRegistry');
+  },
+
+  // Select a case to show its details
+  select: (caseNumber) => {
+    CaseRegistry.selectedCase = caseNumber;
+    CaseRegistry.renderList();
+    CaseRegistry.renderDetails();
+  },
+
+  // Render list of known cases
+  renderList: () => {
+    const list = document.getElementById('caseList');
+    if (!list) return;
+
+    const search = (document.getElementById('caseSearch')?.value || '').trim().toLowerCase();
+    const cases = Object.values(CaseRegistry.cases)
+      .filter(record => !search ||
+        record.caseNumber.toLowerCase().includes(search) ||
+        (record.caseName || '').toLowerCase().includes(search))
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+
+    if (cases.length === 0) {
+      list.innerHTML = '<p class="placeholder-text">No cases found</p>';
+      return;
+    }
+
+    list.innerHTML = cases.map(record => `
+      <button class="case-list-item ${record.caseNumber === CaseRegistry.selectedCase ? 'active' : ''}"
+        data-case="${Utils.escapeHtml(record.caseNumber)}" onclick="CaseRegistry.select(this.dataset.case)">
+        <span class="history-case">${Utils.escapeHtml(record.caseNumber)}</span>
+        <span class="case-list-name">${Utils.escapeHtml(record.caseName || 'Unnamed case')}</span>
+        <span class="history-date">${CaseRegistry.getReports(record.caseNumber).length} report(s)</span>
+      </button>
+    `).join('');
+  },
+
+  // Render selected case details and timeline
+  renderDetails: () => {
+    const details = document.getElementById('caseDetails');
+    if (!details) return;
+
+    const record = CaseRegistry.get(CaseRegistry.selectedCase);
+    if (!record) {
+      details.innerHTML = '<p class="placeholder-text">Select a case to view its timeline</p>';
+      return;
+    }
+
+    const info = [
+      ['Case Name', record.caseName],
+      ['Case Type', record.caseType],
+      ['Primary Detective', record.primaryDetective],
+      ['Location', record.caseLocation],
+      ['Date Opened', record.dateOpened],
+      ['Status', record.status || 'Open']
+    ].filter(([, value]) => value);
+
+    const timeline = CaseRegistry.getReports(record.caseNumber).map(({ entry, date }) => `
+      <div class="timeline-item">
+        <div class="timeline-date">${Utils.escapeHtml(Utils.formatDate(date))}</div>
+        <div class="timeline-body">
+          <div class="history-type">${Utils.escapeHtml(ReportTypes.getLabel(entry.type))}</div>
+          <p class="history-preview">${Utils.escapeHtml(ReportHistory.getPreview(entry))}</p>
+          <div class="history-actions">
+            <button class="action-btn secondary" onclick="ReportHistory.reopen('${entry.id}')">📄 Open</button>
+            <button class="action-btn secondary" onclick="ReportHistory.edit('${entry.id}')">✏️ Edit</button>
+          </div>
+        </div>
+      </div>
+    `).join('');
+
+    details.innerHTML = `
+      <h4 class="case-title">${Utils.escapeHtml(record.caseNumber)}</h4>
+      <dl class="case-info">
+        ${info.map(([label, value]) => `<dt>${label}</dt><dd>${Utils.escapeHtml(value)}</dd>`).join('')}
+      </dl>
+      <h4>Timeline</h4>
+      <div class="timeline">
+        ${timeline || '<p class="placeholder-text">No saved reports for this case</p>'}
+      </div>
+    `;
+  }
+};
+
+// ===== PERSON DIRECTORY =====
+// People named in saved reports, offered as autocomplete in name inputs
+const PersonDirectory = {
+  people: {},
+  selectedId: null,
+
+  // Details kept for each person besides their name and aliases
+  detailFields: ['idNumber', 'dob', 'address', 'license'],
+
+  // Name inputs with autocomplete, and the fields they fill (selector -> person property).
+  // Linked fields are looked up in the input's dynamic row first, then its report section.
+  nameInputs: {
+    '#offenderName': { '#offenderDOB': 'dob', '#offenderAddress': 'address', '#offenderLicense': 'license' },
+    '.suspect-name': { '.suspect-id': 'idNumber' },
+    '#intervieweeName': {},
+    '#suspectName': {},
+    '.witness-name': {},
+    '.vehicle-owner': {}
+  },
+
+  // People named in each report type's form data
+  sources: {
+    'arrest': (data) => [
+      ...(data.suspects || []).map(suspect => ({ name: suspect.name, idNumber: suspect.id })),
+      ...(data.witnessEntries || []).map(entry => ({ name: entry.name })),
+      ...(data.vehicles || []).map(vehicle => ({ name: vehicle.owner }))
+    ],
+    'citation': (data) => [
+      { name: data.offenderName, dob: data.offenderDOB, address: data.offenderAddress, license: data.offenderLicense },
+      ...DynamicFields.getVehicleRecords(data).map(vehicle => ({ name: vehicle.owner }))
+    ],
+    'interview': (data) => [{ name: data.intervieweeName }],
+    'warrant': (data) => [
+      { name: data.suspectName },
+      ...(data.vehicles || []).map(vehicle => ({ name: vehicle.owner }))
+    ]
+  },
+
+  // Load the directory and hook up name inputs
+  init: async () => {
+    await PersonDirectory.load();
+
+    if (Object.keys(PersonDirectory.people).length === 0 && AppState.generatedReports.length > 0) {
+      // Build the directory from history saved before it existed
+      AppState.generatedReports.forEach(entry => PersonDirectory.recordReport(entry, false));
+      PersonDirectory.save();
+    }
+    await PersonDirectory.purgeOfficers();
+
+    const selector = Object.keys(PersonDirectory.nameInputs).join(', ');
+    document.addEventListener('focusin', (e) => {
+      if (e.target.matches && e.target.matches(selector)) {
+        e.target.setAttribute('list', 'personOptions');
+      }
+    });
+    document.addEventListener('change', (e) => {
+      if (e.target.matches && e.target.matches(selector)) {
+        PersonDirectory.autofill(e.target);
+      }
+    });
+
+    const search = document.getElementById('personSearch');
+    if (search) {
+      search.addEventListener('input', PersonDirectory.renderList);
+    }
+
+    PersonDirectory.renderOptions();
+  },
+
+  // Officers are kept in the roster, but arresting officers used to be recorded as people.
+  // Drop those records once: named as an officer in history and in no report as a person.
+  purgeOfficers: async () => {
+    if (await DataStore.getMeta('peopleOfficersPurged', false)) return;
+
+    const officerNames = new Set(AppState.generatedReports
+      .flatMap(entry => (entry.formData && entry.formData.officers) || [])
+      .map(PersonDirectory.normalize));
+    const index = PersonDirectory.getReportIndex();
+    const stale = Object.values(PersonDirectory.people).filter(record => !index.has(record.id) &&
+      [record.name, ...(record.aliases || [])].some(name => officerNames.has(PersonDirectory.normalize(name))));
+
+    stale.forEach(record => {
+      delete PersonDirectory.people[record.id];
+      DataStore.delete('people', record.id);
+    });
+    if (stale.length > 0) PersonDirectory.renderOptions();
+    await DataStore.setMeta('peopleOfficersPurged', true);
+  },
+
+  // Load people from storage
+  load: async () => {
+    const records = await DataStore.getAll('people');
+    PersonDirectory.people = {};
+    records.forEach(record => { PersonDirectory.people[record.id] = record; });
+    PersonDirectory.renderOptions();
+  },
+
+  // Replace all stored people with the in-memory directory
+  save: () => {
+    return DataStore.replaceAll('people', Object.values(PersonDirectory.people));
+  },
+
+  // Normalize a name or ID for matching
+  normalize: (value) => {
+    return (value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  },
+
+  // Find a person by name or alias
+  find: (name) => {
+    const key = PersonDirectory.normalize(name);
+    if (!key) return null;
+    return Object.values(PersonDirectory.people).find(record => {
+      return [record.name, ...(record.aliases || [])].some(known => PersonDirectory.normalize(known) === key);
+    }) || null;
+  },
+
+  // Find the person a set of report details refers to: same ID number or license, else same name
+  match: (details) => {
+    const sameValue = (field) => {
+      const value = PersonDirectory.normalize(details[field]);
+      return value && Object.values(PersonDirectory.people).find(record => PersonDirectory.normalize(record[field]) === value);
+    };
+    return sameValue('idNumber') || sameValue('license') || PersonDirectory.find(details.name);
+  },
+
+  // People named in a report, without blank names
+  getPeopleInReport: (type, formData = {}) => {
+    const source = PersonDirectory.sources[type];
+    if (!source) return [];
+    return source(formData)
+      .filter(details => details.name && details.name.trim())
+      .map(details => ({ ...details, name: details.name.trim() }));
+  },
+
+  // Add or update everyone named in a saved report
+  recordReport: (entry, persist = true) => {
+    const changed = PersonDirectory.getPeopleInReport(entry.type, entry.formData).map(details => {
+      const record = PersonDirectory.match(details) ||
+        { id: Utils.generateId(), name: details.name, aliases: [], createdAt: entry.timestamp };
+
+      // A known person under another name gets that name as an alias
+      const names = [record.name, ...record.aliases].map(PersonDirectory.normalize);
+      if (!names.includes(PersonDirectory.normalize(details.name))) {
+        record.aliases.push(details.name);
+      }
+
+      PersonDirectory.detailFields.forEach(field => {
+        if (details[field]) record[field] = details[field];
+      });
+      record.updatedAt = entry.timestamp;
+      PersonDirectory.people[record.id] = record;
+      return record;
+    });
+
+    if (persist && changed.length > 0) {
+      DataStore.put('people', ...changed);
+      PersonDirectory.renderOptions();
+      PersonDirectory.renderList();
+    }
+  },
+
+  // Drop people named in deleted reports who no longer appear in any saved report
+  prune: (entries) => {
+    const named = new Set(entries
+      .flatMap(entry => PersonDirectory.getPeopleInReport(entry.type, entry.formData))
+      .map(PersonDirectory.match)
+      .filter(Boolean)
+      .map(record => record.id));
+    if (named.size === 0) return;
+
+    const index = PersonDirectory.getReportIndex();
+    named.forEach(id => {
+      if (index.has(id)) return;
+      delete PersonDirectory.people[id];
+      DataStore.delete('people', id);
+      if (PersonDirectory.selectedId === id) PersonDirectory.selectedId = null;
+    });
+
+    PersonDirectory.renderOptions();
+    PersonDirectory.renderList();
+    PersonDirectory.renderDetails();
+  },
+
+  // Get every saved report a person appears in, in chronological order
+  getReports: (id) => {
+    return PersonDirectory.getReportIndex().get(id) || [];
+  },
+
+  // Person id -> the saved reports they appear in, built in one pass over history
+  getReportIndex: () => {
+    // Lookup tables matching the same way as match(): ID number, then license, then name or alias
+    const tables = { idNumber: new Map(), license: new Map(), name: new Map() };
+    const addKey = (table, value, id) => {
+      const key = PersonDirectory.normalize(value);
+      if (key && !table.has(key)) table.set(key, id);
+    };
+    Object.values(PersonDirectory.people).forEach(record => {
+      addKey(tables.idNumber, record.idNumber, record.id);
+      addKey(tables.license, record.license, record.id);
+      [record.name, ...(record.aliases || [])].forEach(name => addKey(tables.name, name, record.id));
+    });
+    const lookup = (details) => ['idNumber', 'license', 'name']
+      .map(field => tables[field].get(PersonDirectory.normalize(details[field])))
+      .find(Boolean);
+
+    const index = new Map();
+    AppState.generatedReports.forEach(entry => {
+      const ids = new Set(PersonDirectory.getPeopleInReport(entry.type, entry.formData).map(lookup).filter(Boolean));
+      if (ids.size === 0) return;
+
+      const date = ReportTypes.getEventDate(entry.type, entry.formData, entry.timestamp);
+      ids.forEach(id => {
+        if (!index.has(id)) index.set(id, []);
+        index.get(id).push({ entry, date });
+      });
+    });
+
+    index.forEach(reports => reports.sort((a, b) => a.date - b.date));
+    return index;
+  },
+
+  // Fill empty linked fields when a known person is entered
+  autofill: (input) => {
+    const record = PersonDirectory.find(input.value);
+    if (!record) return;
+
+    const [, links] = Object.entries(PersonDirectory.nameInputs).find(([selector]) => input.matches(selector));
+    const row = input.closest('.field-item');
+    const section = input.closest('.report-section');
+
+    let filled = 0;
+    Object.entries(links).forEach(([selector, property]) => {
+      const field = (row && row.querySelector(selector)) || section?.querySelector(selector);
+      if (field && !field.value && record[property]) {
+        field.value = record[property];
+        filled++;
+      }
+    });
+
+    if (filled > 0) {
+      FormManager.notifyChange(input);
+      StatusManager.info(`Filled ${filled} field(s) from ${record.name}`);
+    }
+  },
+
+  // Rebuild the autocomplete options for name inputs
+  renderOptions: () => {
+    const datalist = document.getElementById('personOptions');
+    if (!datalist) return;
+
+    datalist.innerHTML = Object.values(PersonDirectory.people)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap(record => [
+        `<option value="${Utils.escapeHtml(record.name)}"></option>`,
+        ...(record.aliases || []).map(alias => `
+          <option value="${Utils.escapeHtml(alias)}" label="Alias of ${Utils.escapeHtml(record.name)}"></option>
+        `)
+      ])
+      .join('');
+  },
+
+  // Open the person directory dialog
+  open: () => {
+    PersonDirectory.renderList();
+    PersonDirectory.renderDetails();
+    ModalManager.open('personDirectory');
+  },
+
+  // Select a person to show their details
+  select: (id) => {
+    PersonDirectory.selectedId = id;
+    PersonDirectory.renderList();
+    PersonDirectory.renderDetails();
+  },
+
+  // Render list of known people
+  renderList: () => {
+    const list = document.getElementById('personList');
+    if (!list) return;
+
+    const search = PersonDirectory.normalize(document.getElementById('personSearch')?.value);
+    const people = Object.values(PersonDirectory.people)
+      .filter(record => !search ||
+        [record.name, ...(record.aliases || []), record.idNumber, record.license]
+          .some(value => PersonDirectory.normalize(value).includes(search)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    if (people.length === 0) {
+      list.innerHTML = '<p class="placeholder-text">No people found</p>';
+      return;
+    }
+
+    const index = PersonDirectory.getReportIndex();
+    list.innerHTML = people.map(record => `
+      <button class="case-list-item ${record.id === PersonDirectory.selectedId ? 'active' : ''}"
+        data-id="${record.id}" onclick="PersonDirectory.select(this.dataset.id)">
+        <span class="case-list-name">${Utils.escapeHtml(record.name)}</span>
+        <span class="history-date">${(index.get(record.id) || []).length} report(s)</span>
+      </button>
+    `).join('');
+  },
+
+  // Render selected person's details and the reports they appear in
+  renderDetails: () => {
+    const details = document.getElementById('personDetails');
+    if (!details) return;
+
+    const record = PersonDirectory.people[PersonDirectory.selectedId];
+    if (!record) {
+      details.innerHTML = '<p class="placeholder-text">Select a person to view their reports</p>';
+      return;
+    }
+
+    const info = [
+      ['Known Aliases', (record.aliases || []).join(', ')],
+      ['ID Number', record.idNumber],
+      ['Date of Birth', record.dob],
+      ['Address', record.address],
+      ['Driver\'s License', record.license]
+    ].filter(([, value]) => value);
+
+    const timeline = PersonDirectory.getReports(record.id).map(({ entry, date }) => `
+      <div class="timeline-item">
+        <div class="timeline-date">${Utils.escapeHtml(Utils.formatDate(date))}</div>
+        <div class="timeline-body">
+          <div class="history-type">${Utils.escapeHtml(ReportTypes.getLabel(entry.type))}</div>
+          <p class="history-preview">${Utils.escapeHtml(ReportHistory.getPreview(entry))}</p>
+          <div class="history-actions">
+            <button class="action-btn secondary" onclick="ReportHistory.reopen('${entry.id}')">📄 Open</button>
+            <button class="action-btn secondary" onclick="ReportHistory.edit('${entry.id}')">✏️ Edit</button>
+          </div>
+        </div>
+      </div>
+    `).join('');
+
+    details.innerHTML = `
+      <h4 class="case-title">${Utils.escapeHtml(record.name)}</h4>
+      <dl class="case-info">
+        ${info.map(([label, value]) => `<dt>${label}</dt><dd>${Utils.escapeHtml(value)}</dd>`).join('')}
+      </dl>
+      <h4>Reports</h4>
+      <div class="timeline">
+        ${timeline || '<p class="placeholder-text">No saved reports name this person</p>'}
+      </div>
+    `;
+  }
+};
+
+// ===== OFFICER ROSTER =====
+// Known officers and the user's own profile, offered in officer fields and
+// printed as "Rank Name #Badge" in reports
+const OfficerRoster = {
+  // Single-value officer fields (the arresting officers list is handled separately)
+  fields: [
+    'citationOfficer',
+    'primaryDetective',
+    'investigatingDetective',
+    'interviewingDetectives',
+    'handlingDetective',
+    'requestingDetective',
+    'reviewingSupervisor',
+    'closingDetective'
+  ],
+
+  // Profile and roster officers that have a name
+  getAll: () => {
+    const { profile, roster } = AppState.settings;
+    return [profile, ...roster].filter(officer => officer && (officer.name || '').trim());
+  },
+
+  // "Rank Name #Badge", leaving out whatever is blank
+  format: (officer) => {
+    const badge = (officer.badge || '').trim().replace(/^#/, '');
+    return [officer.rank, officer.name, badge && `#${badge}`]
+      .map(part => (part || '').trim())
+      .filter(Boolean)
+      .join(' ');
+  },
+
+  // Find the officer a typed value refers to: full format, name, badge, or surname with badge
+  find: (text) => {
+    const value = PersonDirectory.normalize(text);
+    if (!value) return null;
+
+    const tokens = value.split(/[\s/,]+/).map(token => token.replace(/^#/, ''));
+    return OfficerRoster.getAll().find(officer => {
+      const name = PersonDirectory.normalize(officer.name);
+      const badge = PersonDirectory.normalize(officer.badge).replace(/^#/, '');
+      if (value === PersonDirectory.normalize(OfficerRoster.format(officer)) || value === name) return true;
+      if (badge && value === `#${badge}`) return true;
+      return !!badge && tokens.includes(badge) && tokens.includes(name.split(' ').pop());
+    }) || null;
+  },
+
+  // Consistent text for a typed value; each comma-separated name is formatted, unknown names are left as typed
+  formatValue: (text) => {
+    return String(text).split(/\s*,\s*/).map(part => {
+      const officer = OfficerRoster.find(part);
+      return officer ? OfficerRoster.format(officer) : part;
+    }).join(', ');
+  },
+
+  // Form data with known officers in "Rank Name #Badge" form
+  formatFields: (formData) => {
+    const data = { ...formData };
+    OfficerRoster.fields.forEach(field => {
+      if (typeof data[field] === 'string' && data[field].trim()) {
+        data[field] = OfficerRoster.formatValue(data[field]);
+      }
+    });
+    if (Array.isArray(data.officers)) {
+      data.officers = data.officers.map(OfficerRoster.formatValue);
+    }
+    return data;
+  },
+
+  // The current user as an officer entry, or blank without a profile
+  getDefaultOfficer: () => {
+    const { profile } = AppState.settings;
+    return (profile.name || '').trim() ? OfficerRoster.format(profile) : '';
+  },
+
+  // Starting data for a new draft
+  getDefaults: (reportType) => {
+    const officer = OfficerRoster.getDefaultOfficer();
+    return reportType === 'arrest' && officer ? { officers: [officer] } : {};
+  },
+
+  // Rebuild the officer autocomplete options
+  renderOptions: () => {
+    const datalist = document.getElementById('officerOptions');
+    if (!datalist) return;
+
+    datalist.innerHTML = OfficerRoster.getAll().map(officer => {
+      const details = [officer.unit, officer.callsign].filter(Boolean).join(' · ');
+      return `<option value="${Utils.escapeHtml(OfficerRoster.format(officer))}" label="${Utils.escapeHtml(details)}"></option>`;
+    }).join('');
+  },
+
+  // Render the roster editor in settings
+  render: () => {
+    const table = document.getElementById('rosterTable');
+    if (!table) return;
+
+    const { roster } = AppState.settings;
+    if (roster.length === 0) {
+      table.innerHTML = '<p class="placeholder-text">No officers in the roster yet</p>';
+      return;
+    }
+
+    const input = (index, prop, placeholder) => `
+      <input type="text" value="${Utils.escapeHtml(roster[index][prop] || '')}" placeholder="${placeholder}"
+        oninput="OfficerRoster.update(${index}, '${prop}', this.value)">
+    `;
+    table.innerHTML = roster.map((officer, index) => `
+      <div class="roster-row">
+        ${input(index, 'rank', 'Rank')}
+        ${input(index, 'name', 'Name')}
+        ${input(index, 'badge', 'Badge')}
+        ${input(index, 'unit', 'Unit')}
+        ${input(index, 'callsign', 'Callsign')}
+        <button class="remove-btn" onclick="OfficerRoster.remove(${index})" title="Remove officer">×</button>
+      </div>
+    `).join('');
+  },
+
+  // Add a blank roster entry
+  add: () => {
+    AppState.settings.roster.push({ rank: '', name: '', badge: '', unit: '', callsign: '' });
+    SettingsManager.save();
+    OfficerRoster.render();
+
+    const rows = document.querySelectorAll('#rosterTable .roster-row');
+    rows[rows.length - 1].querySelectorAll('input')[1].focus();
+  },
+
+  // Change one property of a roster entry
+  update: (index, prop, value) => {
+    AppState.settings.roster[index][prop] = value;
+    SettingsManager.save();
+    OfficerRoster.renderOptions();
+  },
+
+  // Remove a roster entry
+  remove: (index) => {
+    AppState.settings.roster.splice(index, 1);
+    SettingsManager.save();
+    OfficerRoster.render();
+    OfficerRoster.renderOptions();
+  }
+};
+
+// ===== MODALS =====
+const ModalManager = {
+  // Close modals when clicking the backdrop
+  init: () => {
+    document.querySelectorAll('.modal').forEach(modal => {
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          ModalManager.close(modal.id);
+        }
+      });
+    });
+  },
+
+  open: (id) => {
+    const modal = document.getElementById(id);
+    if (modal) {
+      modal.classList.add('active');
+    }
+  },
+
+  close: (id) => {
+    const modal = document.getElementById(id);
+    if (modal) {
+      modal.classList.remove('active');
+    }
+  },
+
+  closeAll: () => {
+    document.querySelectorAll('.modal.active').forEach(modal => modal.classList.remove('active'));
+  }
+};
+
+// ===== TEMPLATE DESIGNER =====
+const TemplateDesigner = {
+  reportType: 'arrest',
+  working: null,
+
+  // Boilerplate blocks offered by the designer
+  presets: {
+    header: {
+      type: 'text',
+      text: 'DEPARTMENT NAME\nDivision / Unit\nReport generated {{generatedDate}}'
+    },
+    signature: {
+      type: 'text',
+      text: 'Prepared by: ______________________________\nSignature: ______________________________\nDate: {{generatedDate}}'
+    },
+    text: {
+      type: 'text',
+      text: 'Heading:\nText with {{placeholders}}'
+    }
+  },
+
+  // Hook up designer controls
+  init: () => {
+    const typeSelect = document.getElementById('designerReportType');
+    if (typeSelect) {
+      typeSelect.addEventListener('change', (e) => TemplateDesigner.setReportType(e.target.value));
+    }
+
+    const templateSelect = document.getElementById('designerTemplate');
+    if (templateSelect) {
+      templateSelect.addEventListener('change', (e) => TemplateDesigner.editTemplate(e.target.value));
+    }
+  },
+
+  // Open the designer for the current report type
+  open: () => {
+    TemplateDesigner.setReportType(AppState.currentReport);
+    ModalManager.open('templateDesigner');
+  },
+
+  // Switch the report type being designed
+  setReportType: (reportType) => {
+    TemplateDesigner.reportType = reportType;
+    document.getElementById('designerReportType').value = reportType;
+    TemplateDesigner.editTemplate(ReportTemplates.selected[reportType] || '');
+  },
+
+  // Load a template into the editor ('' for the read-only built-in)
+  editTemplate: (id) => {
+    const custom = id && ReportTemplates.getCustom(id);
+    TemplateDesigner.working = custom
+      ? Utils.clone(custom)
+      : { id: '', name: 'Built-in', reportType: TemplateDesigner.reportType, ...Utils.clone(ReportTemplates.builtIn[TemplateDesigner.reportType]) };
+
+    TemplateDesigner.render();
+  },
+
+  // Whether the working template can be edited
+  isEditable: () => {
+    return !!TemplateDesigner.working.id;
+  },
+
+  // Render the template list, block editor and preview
+  render: () => {
+    const { working, reportType } = TemplateDesigner;
+    const editable = TemplateDesigner.isEditable();
+    const activeId = ReportTemplates.selected[reportType] || '';
+
+    // Template selector
+    const templateSelect = document.getElementById('designerTemplate');
+    const options = [{ id: '', name: 'Built-in' }, ...ReportTemplates.getCustomForType(reportType)];
+    templateSelect.innerHTML = options.map(template => `
+      <option value="${Utils.escapeHtml(template.id)}">${Utils.escapeHtml(template.name)}${template.id === activeId ? ' (active)' : ''}</option>
+    `).join('');
+    templateSelect.value = working.id;
+
+    // Template name and title
+    const nameInput = document.getElementById('designerName');
+    const titleInput = document.getElementById('designerTitle');
+    nameInput.value = working.name;
+    titleInput.value = working.title;
+    nameInput.disabled = !editable;
+    titleInput.disabled = !editable;
+
+    document.getElementById('designerReadOnly').style.display = editable ? 'none' : 'block';
+    document.querySelectorAll('.designer-edit-only').forEach(el => {
+      el.disabled = !editable;
+    });
+
+    // Block list
+    const blocksContainer = document.getElementById('designerBlocks');
+    blocksContainer.innerHTML = working.blocks.map((block, index) => `
+      <div class="designer-block">
+        <div class="designer-block-header">
+          <span class="designer-block-type">${Utils.escapeHtml(TemplateDesigner.describeBlock(block))}</span>
+          <div class="designer-block-actions">
+            <button class="icon-btn" onclick="TemplateDesigner.moveBlock(${index}, -1)" title="Move up" ${!editable || index === 0 ? 'disabled' : ''}>↑</button>
+            <button class="icon-btn" onclick="TemplateDesigner.moveBlock(${index}, 1)" title="Move down" ${!editable || index === working.blocks.length - 1 ? 'disabled' : ''}>↓</button>
+            <button class="remove-btn" onclick="TemplateDesigner.removeBlock(${index})" title="Remove block" ${editable ? '' : 'disabled'}>×</button>
+          </div>
+        </div>
+        ${TemplateDesigner.renderBlockFields(block, index, editable)}
+      </div>
+    `).join('');
+
+    // Fields that can be added back
+    const fieldSelect = document.getElementById('designerAddField');
+    const available = TemplateDesigner.getAvailableBlocks();
+    fieldSelect.innerHTML = '<option value="">Add field...</option>' + available.map((block, index) => `
+      <option value="${index}">${Utils.escapeHtml(TemplateDesigner.describeBlock(block))}</option>
+    `).join('');
+
+    TemplateDesigner.updatePreview();
+  },
+
+  // Short description of a block for the editor
+  describeBlock: (block) => {
+    switch (block.type) {
+      case 'field': return `Field: ${block.label || block.key}`;
+      case 'officers': return 'Officers list';
+      case 'suspects': return 'Suspects & charges';
+      case 'witnesses': return 'Witnesses & victims';
+      case 'vehicles': return 'Vehicles';
+      case 'evidence': return 'Evidence log';
+      case 'text': return 'Text';
+      default: return block.type;
+    }
+  },
+
+  // Editable inputs for a single block
+  renderBlockFields: (block, index, editable) => {
+    const disabled = editable ? '' : 'disabled';
+    const input = (prop, placeholder) => `
+      <input type="text" value="${Utils.escapeHtml(block[prop] || '')}" placeholder="${placeholder}" ${disabled}
+        oninput="TemplateDesigner.updateBlock(${index}, '${prop}', this.value)">
+    `;
+
+    switch (block.type) {
+      case 'field':
+        if (block.value !== undefined) {
+          return `${input('label', 'Label')}
+            <textarea rows="2" ${disabled} oninput="TemplateDesigner.updateBlock(${index}, 'value', this.value)">${Utils.escapeHtml(block.value)}</textarea>
+          `;
+        }
+        return `${input('label', 'Label')}<small class="field-hint">Field: ${Utils.escapeHtml(block.key)}</small>`;
+      case 'officers':
+        return input('label', 'Arresting officer heading') + input('assistingLabel', 'Assisting officers heading');
+      case 'suspects':
+        return input('label', 'Suspects heading');
+      case 'witnesses':
+        return input('label', 'Witnesses heading');
+      case 'vehicles':
+        return input('label', 'Vehicles heading');
+      case 'evidence':
+        return input('label', 'Evidence table heading') + input('custodyLabel', 'Chain of custody heading');
+      case 'text':
+        return `
+          <textarea rows="3" ${disabled} oninput="TemplateDesigner.updateBlock(${index}, 'text', this.value)">${Utils.escapeHtml(block.text || '')}</textarea>
+        `;
+      default:
+        return '';
+    }
+  },
+
+  // Built-in data blocks missing from the working template
+  getAvailableBlocks: () => {
+    const working = TemplateDesigner.working;
+    return ReportTemplates.builtIn[TemplateDesigner.reportType].blocks.filter(block => {
+      if (block.type === 'text') return false;
+      // Field blocks built from a value template have no key, so match those by label
+      const id = (b) => b.key || b.label;
+      return !working.blocks.some(existing => existing.type === block.type && id(existing) === id(block));
+    });
+  },
+
+  // Re-render the live preview against the current form
+  updatePreview: () => {
+    const { working, reportType } = TemplateDesigner;
+    const formData = FormManager.getFormData(reportType);
+    document.getElementById('designerPreview').textContent = ReportGenerator.buildReport(reportType, formData, working);
+  },
+
+  // Update a template property such as name or title
+  updateTemplate: (prop, value) => {
+    if (!TemplateDesigner.isEditable()) return;
+    TemplateDesigner.working[prop] = value;
+    TemplateDesigner.updatePreview();
+  },
+
+  // Update a single block property
+  updateBlock: (index, prop, value) => {
+    if (!TemplateDesigner.isEditable()) return;
+    TemplateDesigner.working.blocks[index][prop] = value;
+    TemplateDesigner.updatePreview();
+  },
+
+  // Move a block up or down
+  moveBlock: (index, direction) => {
+    const blocks = TemplateDesigner.working.blocks;
+    const target = index + direction;
+    if (!TemplateDesigner.isEditable() || target < 0 || target >= blocks.length) return;
+
+    [blocks[index], blocks[target]] = [blocks[target], blocks[index]];
+    TemplateDesigner.render();
+  },
+
+  // Remove a block
+  removeBlock: (index) => {
+    if (!TemplateDesigner.isEditable()) return;
+    TemplateDesigner.working.blocks.splice(index, 1);
+    TemplateDesigner.render();
+  },
+
+  // Add a boilerplate text block (header at the top, others at the bottom)
+  addPreset: (name) => {
+    if (!TemplateDesigner.isEditable()) return;
+    const block = Utils.clone(TemplateDesigner.presets[name]);
+
+    if (name === 'header') {
+      TemplateDesigner.working.blocks.unshift(block);
+    } else {
+      TemplateDesigner.working.blocks.push(block);
+    }
+    TemplateDesigner.render();
+  },
+
+  // Add back a built-in field block
+  addField: (index) => {
+    const block = TemplateDesigner.getAvailableBlocks()[index];
+    if (!TemplateDesigner.isEditable() || !block) return;
+
+    TemplateDesigner.working.blocks.push(Utils.clone(block));
+    TemplateDesigner.render();
+  },
+
+  // Copy the built-in template into a new custom template
+  copyBuiltIn: () => {
+    const { reportType } = TemplateDesigner;
+    const template = ReportTemplates.saveCustom({
+      id: Utils.generateId(),
+      name: `${ReportTypes.getLabel(reportType)} (Custom)`,
+      reportType,
+      ...Utils.clone(ReportTemplates.builtIn[reportType])
+    });
+
+    TemplateDesigner.editTemplate(template.id);
+    StatusManager.success('Built-in template copied');
+  },
+
+  // Save the working template
+  save: () => {
+    if (!TemplateDesigner.isEditable()) return;
+
+    if (!TemplateDesigner.working.name.trim()) {
+      StatusManager.error('Template name is required');
+      return;
+    }
+
+    ReportTemplates.saveCustom(TemplateDesigner.working);
+    TemplateDesigner.render();
+    StatusManager.success('Template saved');
+  },
+
+  // Use the working template for its report type
+  activate: () => {
+    const { working, reportType } = TemplateDesigner;
+    if (working.id) {
+      ReportTemplates.saveCustom(working);
+    }
+
+    ReportTemplates.select(reportType, working.id);
+    TemplateDesigner.render();
+    StatusManager.success(`${working.name} template now used for ${ReportTypes.getLabel(reportType)}`);
+  },
+
+  // Delete the working template
+  remove: () => {
+    const { working } = TemplateDesigner;
+    if (!working.id || !confirm(`Delete template "${working.name}"?`)) return;
+
+    ReportTemplates.deleteCustom(working.id);
+    TemplateDesigner.editTemplate(ReportTemplates.selected[TemplateDesigner.reportType] || '');
+    StatusManager.info('Template deleted');
   },
 
-  // Add suspect field
-  addSuspect: () => {
-    const container = document.getElementById('suspects');
-    const fieldItem = document.createElement('div');
-    fieldItem.className = 'field-item suspect-item';
-    fieldItem.innerHTML = `
-      <div class="suspect-fields">
-        <input type="text" placeholder="Suspect Name" class="suspect-name">
-        <input type="text" placeholder="ID Number" class="suspect-id">
-        <div class="charges-container">
-          <label class="charges-label">Charges:</label>
-          <div class="charges-list">
-            <div class="charge-item">
-              <input type="text" placeholder="Charge description" class="charge-description">
-              <input type="number" placeholder="Count" class="charge-count" min="1" value="1">
-              <button class="remove-charge-btn" onclick="removeCharge(this)">×</button>
-            </div>
-          </div>
-          <button type="button" class="add-charge-btn" onclick="addCharge(this)">+ Add Charge</button>
-        </div>
-      </div>
-      <button class="remove-btn" onclick="removeField(this)">×</button>
-    `;
-    container.appendChild(fieldItem);
-    
-    // Focus on first field
-    fieldItem.querySelector('.suspect-name').focus();
+  // Export all custom templates as JSON
+  exportTemplates: () => {
+    if (ReportTemplates.custom.length === 0) {
+      StatusManager.warning('No custom templates to export');
+      return;
+    }
+
+    const data = { version: 1, templates: ReportTemplates.custom };
+    Utils.downloadFile(JSON.stringify(data, null, 2), 'kyntra-templates.json', 'application/json');
+    StatusManager.success(`Exported ${ReportTemplates.custom.length} template(s)`);
   },
 
-  // Remove field
-  removeField: (button) => {
-    const fieldItem = button.closest('.field-item');
-    if (fieldItem) {
-      fieldItem.style.animation = 'fadeOut 0.3s ease';
-      setTimeout(() => fieldItem.remove(), 300);
+  // Import custom templates from a JSON file
+  importFile: async (input) => {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const templates = Array.isArray(data) ? data : data.templates;
+
+      if (!Array.isArray(templates)) {
+        throw new Error('No templates found in file');
+      }
+
+      const valid = templates.filter(ReportTemplates.isValid);
+      let copies = 0;
+      valid.forEach(template => {
+        // Keep existing templates; an import with the same id is added as a copy
+        const exists = !!ReportTemplates.getCustom(template.id);
+        if (exists) copies++;
+        ReportTemplates.saveCustom({
+          ...template,
+          id: exists ? Utils.generateId() : template.id,
+          name: `${template.name || ReportTypes.getLabel(template.reportType)}${exists ? ' (imported)' : ''}`
+        });
+      });
+
+      TemplateDesigner.render();
+
+      const skipped = templates.length - valid.length;
+      const notes = [
+        copies ? `${copies} added as copies of existing templates` : '',
+        skipped ? `skipped ${skipped} invalid` : ''
+      ].filter(Boolean);
+      StatusManager.success(`Imported ${valid.length} template(s)${notes.length ? `, ${notes.join(', ')}` : ''}`);
+    } catch (err) {
+      console.error('Template import failed:', err);
+      StatusManager.error('Could not import templates - invalid JSON file');
     }
   }
 };
 
-// ===== REPORT GENERATION =====
-const ReportGenerator = {
-  // Generate report
-  generate: (reportType) => {
-    console.log('Generating report for:', reportType);
-    
-    if (!FormManager.validateForm(reportType)) {
-      console.log('Form validation failed');
-      StatusManager.error('Please fill in all required fields');
-      return;
+// ===== BACKUP & RESTORE =====
+const BackupManager = {
+  format: 'kyntra-backup',
+  version: 1,
+  pending: null,
+  mode: 'merge',
+
+  // Each backup section: how to read, check, compare, merge and store it
+  sections: {
+    drafts: {
+      label: 'Drafts',
+      get: () => DraftManager.drafts,
+      isValid: (data) => BackupManager.isObject(data) &&
+        Object.values(data).every(store => BackupManager.isObject(store) && Array.isArray(store.drafts)),
+      // Comparable items keyed by id, with a stamp that changes when the item does
+      items: (data) => Object.entries(data).flatMap(([reportType, store]) => {
+        return store.drafts.map(draft => [`${reportType}:${draft.id}`, draft.updatedAt]);
+      }),
+      merge: (current, incoming) => {
+        const merged = Utils.clone(current);
+        Object.entries(incoming).forEach(([reportType, store]) => {
+          const target = merged[reportType] || (merged[reportType] = { activeId: store.activeId, drafts: [] });
+          store.drafts.forEach(draft => {
+            const index = target.drafts.findIndex(existing => existing.id === draft.id);
+            if (index < 0) {
+              target.drafts.push(draft);
+            } else if (BackupManager.isNewer(draft.updatedAt, target.drafts[index].updatedAt)) {
+              target.drafts[index] = draft;
+            }
+          });
+        });
+        return merged;
+      },
+      apply: (data) => {
+        DraftManager.drafts = data;
+        DraftManager.save();
+        // Clear values left from before the restore that the restored draft doesn't set
+        FormManager.resetForm(AppState.currentReport);
+        FormManager.loadFormData();
+        DraftManager.render();
+      }
+    },
+
+    history: {
+      label: 'Report History',
+      get: () => AppState.generatedReports,
+      isValid: (data) => Array.isArray(data) && data.every(entry => entry && entry.id && entry.type),
+      items: (data) => data.map(entry => [entry.id, entry.timestamp]),
+      merge: (current, incoming) => {
+        const ids = new Set(current.map(entry => entry.id));
+        return [...current, ...incoming.filter(entry => !ids.has(entry.id))]
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      },
+      apply: (data) => {
+        AppState.generatedReports = data;
+        ReportHistory.save();
+        ReportHistory.render();
+      }
+    },
+
+    cases: {
+      label: 'Case Files',
+      get: () => CaseRegistry.cases,
+      isValid: (data) => BackupManager.isObject(data),
+      items: (data) => Object.entries(data).map(([caseNumber, record]) => [caseNumber, record.updatedAt]),
+      merge: (current, incoming) => {
+        const merged = Utils.clone(current);
+        Object.entries(incoming).forEach(([caseNumber, record]) => {
+          if (!merged[caseNumber] || BackupManager.isNewer(record.updatedAt, merged[caseNumber].updatedAt)) {
+            merged[caseNumber] = { ...merged[caseNumber], ...record };
+          }
+        });
+        return merged;
+      },
+      apply: (data) => {
+        CaseRegistry.cases = data;
+        CaseRegistry.save();
+        CaseRegistry.renderList();
+      }
+    },
+
+    people: {
+      label: 'Person Directory',
+      get: () => PersonDirectory.people,
+      isValid: (data) => BackupManager.isObject(data) &&
+        Object.values(data).every(record => record && record.id && record.name),
+      items: (data) => Object.entries(data).map(([id, record]) => [id, record.updatedAt]),
+      merge: (current, incoming) => {
+        const merged = Utils.clone(current);
+        Object.entries(incoming).forEach(([id, record]) => {
+          if (!merged[id] || BackupManager.isNewer(record.updatedAt, merged[id].updatedAt)) {
+            merged[id] = record;
+          }
+        });
+        return merged;
+      },
+      apply: (data) => {
+        PersonDirectory.people = data;
+        PersonDirectory.save();
+        PersonDirectory.renderOptions();
+        PersonDirectory.renderList();
+      }
+    },
+
+    templates: {
+      label: 'Custom Templates',
+      get: () => ({ templates: ReportTemplates.custom, selected: ReportTemplates.selected }),
+      isValid: (data) => BackupManager.isObject(data) && Array.isArray(data.templates) &&
+        data.templates.every(ReportTemplates.isValid),
+      items: (data) => data.templates.map(template => [template.id, template.updatedAt]),
+      merge: (current, incoming) => {
+        const templates = Utils.clone(current.templates);
+        incoming.templates.forEach(template => {
+          const index = templates.findIndex(existing => existing.id === template.id);
+          if (index < 0) {
+            templates.push(template);
+          } else if (BackupManager.isNewer(template.updatedAt, templates[index].updatedAt)) {
+            templates[index] = template;
+          }
+        });
+        return { templates, selected: { ...incoming.selected, ...current.selected } };
+      },
+      apply: (data) => {
+        ReportTemplates.custom = data.templates;
+        ReportTemplates.selected = data.selected || {};
+        ReportTemplates.save();
+      }
+    },
+
+    catalog: {
+      label: 'Charge Catalog',
+      get: () => ChargeCatalog.catalog,
+      isValid: (data) => ChargeCatalog.validate(data).errors.length === 0,
+      items: (data) => [['catalog', `${data.name} v${data.version}`]],
+      // Keep whichever catalog has the higher version
+      merge: (current, incoming) => {
+        return ChargeCatalog.compareVersions(incoming.version, current.version) > 0 ? incoming : current;
+      },
+      apply: (data) => {
+        ChargeCatalog.load(ChargeCatalog.validate(data).catalog);
+      }
+    },
+
+    settings: {
+      label: 'Settings',
+      get: () => AppState.settings,
+      isValid: (data) => BackupManager.isObject(data),
+      items: (data) => [['settings', JSON.stringify(data)]],
+      merge: (current, incoming) => {
+        const merged = Utils.clone(current);
+        Object.entries(incoming).forEach(([key, value]) => {
+          merged[key] = BackupManager.isObject(merged[key]) ? { ...merged[key], ...value } : value;
+        });
+        return merged;
+      },
+      // Settings are always layered over the defaults so older backups keep new options
+      apply: (data, mode) => {
+        const base = mode === 'replace' ? Utils.clone(SettingsManager.defaults) : AppState.settings;
+        AppState.settings = BackupManager.sections.settings.merge(base, data);
+        SettingsManager.save();
+
+        const select = document.getElementById('outputFormat');
+        if (select) select.value = AppState.settings.outputFormat;
+        CaseNumbering.apply();
+        OfficerRoster.renderOptions();
+      }
     }
+  },
 
-    console.log('Form validation passed');
-    const formData = FormManager.getFormData(reportType);
-    console.log('Form data collected:', formData);
-    
-    const report = ReportGenerator.buildReport(reportType, formData);
-    console.log('Report built:', report);
-    
-    // Display report
-    const output = document.getElementById('reportOutput');
-    console.log('Output element:', output);
-    output.textContent = report;
-    console.log('Report set to output element');
-    
-    // Save to history
-    AppState.generatedReports.push({
-      type: reportType,
-      content: report,
-      timestamp: new Date().toISOString(),
-      formData: formData
+  // Plain object check
+  isObject: (value) => {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  // Whether timestamp a is later than b (missing timestamps count as oldest)
+  isNewer: (a, b) => {
+    return new Date(a || 0) > new Date(b || 0);
+  },
+
+  // Open the backup dialog
+  open: () => {
+    BackupManager.pending = null;
+    BackupManager.render();
+    ModalManager.open('backupManager');
+  },
+
+  // Bundle all local data into a versioned backup object
+  create: () => {
+    const data = {};
+    Object.entries(BackupManager.sections).forEach(([key, section]) => {
+      data[key] = Utils.clone(section.get());
     });
 
-    // Show success message
-    StatusManager.success('Report generated successfully');
-    
-    // Scroll to output
-    document.querySelector('.output-container').scrollIntoView({ 
-      behavior: 'smooth',
-      block: 'nearest'
+    // Drafts kept out of storage stay out of backups too
+    Object.keys(data.drafts).forEach(reportType => {
+      if (!FormManager.shouldPersist(reportType)) delete data.drafts[reportType];
     });
-  },
 
-  // Build report content
-  buildReport: (reportType, formData) => {
-    console.log('Building report for type:', reportType, 'with data:', formData);
-    
-    const headers = {
-      'arrest': 'ARREST REPORT',
-      'citation': 'CITATION REPORT',
-      'case-opening': 'CASE OPENING FILE',
-      'investigative-update': 'INVESTIGATIVE UPDATE',
-      'interview': 'INTERVIEW REPORT',
-      'ci-report': 'CONFIDENTIAL INFORMANT REPORT',
-      'warrant': 'WARRANT SUPPORT SUMMARY',
-      'case-closure': 'CASE CLOSURE SUMMARY'
+    return {
+      format: BackupManager.format,
+      version: BackupManager.version,
+      exportedAt: new Date().toISOString(),
+      data
     };
+  },
 
-    let report = `${headers[reportType]}\n`;
-    report += '='.repeat(50) + '\n\n';
+  // Download a full backup, encrypted with the passphrase when the lock is on
+  exportBackup: async () => {
+    const backup = BackupManager.create();
+    const date = backup.exportedAt.slice(0, 10);
 
-    console.log('Report header created:', report);
+    if (Vault.isEnabled()) {
+      backup.lock = { salt: Vault.config.salt, iterations: Vault.config.iterations };
+      backup.sealed = await Vault.encrypt(backup.data);
+      delete backup.data;
+    }
 
-    // Add form fields (excluding specific unwanted fields)
-    const unwantedFields = ['officers', 'suspects', 'evidence', 'witnesses', 'futureNotes'];
-    console.log('Processing form fields:', Object.keys(formData));
-    
-    Object.keys(formData).forEach(key => {
-      console.log('Checking field:', key, 'value:', formData[key]);
-      // Skip unwanted fields and empty fields
-      if (!unwantedFields.includes(key) && formData[key] && formData[key].trim()) {
-        const label = ReportGenerator.formatLabel(key);
-        console.log('Adding field:', key, 'label:', label);
-        report += `${label}:\n${formData[key]}\n\n`;
-      } else {
-        console.log('Skipping field:', key, '- unwanted or empty');
-      }
-    });
+    Utils.downloadFile(JSON.stringify(backup, null, 2), `kyntra-backup_${date}.json`, 'application/json');
+    StatusManager.success(backup.sealed ? 'Encrypted backup downloaded - importing it needs your passphrase' : 'Backup downloaded');
+  },
 
-    // Add evidence, witnesses, and notes at the end if they exist
-    if (formData.evidence && formData.evidence.trim()) {
-      report += `EVIDENCE:\n${formData.evidence}\n\n`;
+  // Parse and check a backup file; returns { backup, errors }
+  parse: (text) => {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (err) {
+      return { backup: null, errors: ['File is not valid JSON'] };
     }
-    
-    if (formData.witnesses && formData.witnesses.trim()) {
-      report += `WITNESSES:\n${formData.witnesses}\n\n`;
+
+    if (!BackupManager.isObject(backup) || backup.format !== BackupManager.format) {
+      return { backup: null, errors: ['File is not a Kyntra backup'] };
     }
-    
-    if (formData.futureNotes && formData.futureNotes.trim()) {
-      report += `NOTES:\n${formData.futureNotes}\n\n`;
+    if (typeof backup.version !== 'number' || backup.version > BackupManager.version) {
+      return { backup: null, errors: [`Unsupported backup version: ${backup.version}`] };
+    }
+    if (backup.sealed) {
+      const complete = BackupManager.isObject(backup.sealed) && BackupManager.isObject(backup.lock) &&
+        typeof backup.lock.salt === 'string' && typeof backup.lock.iterations === 'number';
+      return complete ? { backup, errors: [] } : { backup: null, errors: ['Encrypted backup is incomplete'] };
     }
 
-    // Add dynamic fields in proper order
-    if (formData.officers && formData.officers.length > 0) {
-      // First officer is Arresting Officer, rest are Assisting Officers
-      const arrestingOfficer = formData.officers[0];
-      const assistingOfficers = formData.officers.slice(1);
-      
-      report += 'ARRESTING OFFICER:\n';
-      report += `${arrestingOfficer}\n\n`;
-      
-      if (assistingOfficers.length > 0) {
-        report += 'ASSISTING OFFICERS:\n';
-        assistingOfficers.forEach(officer => {
-          report += `${officer}\n`;
-        });
-        report += '\n';
+    return BackupManager.validate(backup);
+  },
+
+  // Check each section of a parsed backup; returns { backup, errors }
+  validate: (backup) => {
+    if (!BackupManager.isObject(backup.data)) {
+      return { backup: null, errors: ['Backup contains no data'] };
+    }
+
+    const errors = [];
+    Object.entries(backup.data).forEach(([key, data]) => {
+      const section = BackupManager.sections[key];
+      if (!section) {
+        errors.push(`Unknown section: ${key}`);
+      } else if (!section.isValid(data)) {
+        errors.push(`${section.label} section is invalid`);
       }
+    });
+
+    return { backup: errors.length === 0 ? backup : null, errors };
+  },
+
+  // Decrypt an encrypted backup, asking for its passphrase unless it was made with the current one
+  unseal: async (backup) => {
+    let key = Vault.key && Vault.config.salt === backup.lock.salt ? Vault.key : null;
+    if (!key) {
+      const passphrase = prompt('This backup is encrypted. Passphrase it was exported with:');
+      if (passphrase === null) return { backup: null, errors: ['No passphrase entered'] };
+      key = await Vault.deriveKey(passphrase, Utils.base64ToBytes(backup.lock.salt), backup.lock.iterations);
     }
 
-    if (formData.suspects && formData.suspects.length > 0) {
-      report += 'SUSPECTS:\n';
-      formData.suspects.forEach((suspect) => {
-        report += `${suspect.name || 'Unknown'}`;
-        if (suspect.id) report += ` (ID: ${suspect.id})`;
-        report += '\n';
-        
-        if (suspect.charges && suspect.charges.length > 0) {
-          report += 'Charges:\n';
-          suspect.charges.forEach(charge => {
-            const count = charge.count > 1 ? ` x${charge.count}` : '';
-            report += `${charge.description}${count}\n`;
-          });
-        }
-        report += '\n';
-      });
+    let data;
+    try {
+      data = await Vault.decrypt(backup.sealed, key);
+    } catch (err) {
+      return { backup: null, errors: ['Incorrect passphrase'] };
     }
 
-    console.log('Final report content:', report);
-    return report;
+    const restored = { ...backup, data };
+    delete restored.sealed;
+    delete restored.lock;
+    return BackupManager.validate(restored);
   },
 
-  // Format field label
-  formatLabel: (key) => {
-    return key
-      .replace(/([A-Z])/g, ' $1')
-      .replace(/^./, str => str.toUpperCase())
-      .trim();
-  }
-};
+  // Summarize what importing a section would change
+  describeChanges: (key, incoming, mode) => {
+    const section = BackupManager.sections[key];
+    const current = new Map(section.items(section.get()));
+    const result = new Map(section.items(mode === 'replace' ? incoming : section.merge(section.get(), incoming)));
 
-// ===== OUTPUT MANAGEMENT =====
-const OutputManager = {
-  // Copy report to clipboard
-  copy: async () => {
-    const output = document.getElementById('reportOutput').textContent;
-    
-    if (!output || output === 'Your generated report will appear here...') {
-      StatusManager.warning('No report to copy');
-      return;
-    }
+    let added = 0;
+    let updated = 0;
+    result.forEach((stamp, id) => {
+      if (!current.has(id)) {
+        added++;
+      } else if (current.get(id) !== stamp) {
+        updated++;
+      }
+    });
+    const removed = [...current.keys()].filter(id => !result.has(id)).length;
+
+    return { current: current.size, incoming: section.items(incoming).length, added, updated, removed };
+  },
+
+  // Read a backup file and show the preview
+  importFile: async (input) => {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
 
     try {
-      await Utils.copyToClipboard(output);
-      StatusManager.success('Report copied to clipboard');
+      let { backup, errors } = BackupManager.parse(await file.text());
+      if (backup && backup.sealed) {
+        ({ backup, errors } = await BackupManager.unseal(backup));
+      }
+      if (errors.length > 0) {
+        StatusManager.error(`Backup not imported: ${errors.slice(0, 3).join('; ')}`);
+        return;
+      }
+
+      BackupManager.pending = { backup, included: new Set(Object.keys(backup.data)) };
+      BackupManager.render();
     } catch (err) {
-      StatusManager.error('Failed to copy report');
+      console.error('Backup import failed:', err);
+      StatusManager.error('Could not read backup file');
     }
   },
 
-  // Download report
-  download: () => {
-    const output = document.getElementById('reportOutput').textContent;
-    
-    if (!output || output === 'Your generated report will appear here...') {
-      StatusManager.warning('No report to download');
+  // Choose merge or replace
+  setMode: (mode) => {
+    BackupManager.mode = mode;
+    BackupManager.render();
+  },
+
+  // Include or skip a section of the pending backup
+  toggleSection: (key, included) => {
+    const { included: sections } = BackupManager.pending;
+    if (included) {
+      sections.add(key);
+    } else {
+      sections.delete(key);
+    }
+    BackupManager.render();
+  },
+
+  // Render current data summary or the import preview
+  render: () => {
+    const summary = Object.entries(BackupManager.sections).map(([key, section]) => {
+      return `${section.label}: ${section.items(section.get()).length}`;
+    });
+    document.getElementById('backupSummary').textContent = summary.join(' · ');
+
+    const preview = document.getElementById('backupPreview');
+    if (!BackupManager.pending) {
+      preview.style.display = 'none';
+      preview.innerHTML = '';
       return;
     }
 
-    const filename = `report_${AppState.currentReport}_${Date.now()}.txt`;
-    Utils.downloadFile(output, filename);
-    StatusManager.success('Report downloaded successfully');
+    const { backup, included } = BackupManager.pending;
+    const { mode } = BackupManager;
+    const rows = Object.keys(backup.data).map(key => {
+      const changes = BackupManager.describeChanges(key, backup.data[key], mode);
+      const checked = included.has(key);
+      const result = [
+        changes.added && `<span class="diff-added">+${changes.added} new</span>`,
+        changes.updated && `<span class="diff-changed">~${changes.updated} updated</span>`,
+        changes.removed && `<span class="diff-removed">−${changes.removed} removed</span>`
+      ].filter(Boolean).join(' ') || 'No changes';
+
+      return `
+        <tr class="${checked ? '' : 'backup-skipped'}">
+          <td><input type="checkbox" data-section="${key}" ${checked ? 'checked' : ''}
+            onchange="BackupManager.toggleSection(this.dataset.section, this.checked)"></td>
+          <td>${Utils.escapeHtml(BackupManager.sections[key].label)}</td>
+          <td>${changes.current}</td>
+          <td>${changes.incoming}</td>
+          <td>${checked ? result : 'Skipped'}</td>
+        </tr>
+      `;
+    });
+
+    preview.style.display = 'block';
+    preview.innerHTML = `
+      <p>Backup from <strong>${Utils.escapeHtml(Utils.formatDate(new Date(backup.exportedAt)))}</strong></p>
+      <div class="backup-mode">
+        <label class="checkbox-field">
+          <input type="radio" name="backupMode" ${mode === 'merge' ? 'checked' : ''} onchange="BackupManager.setMode('merge')">
+          Merge — keep local data, add new items and take newer versions from the backup
+        </label>
+        <label class="checkbox-field">
+          <input type="radio" name="backupMode" ${mode === 'replace' ? 'checked' : ''} onchange="BackupManager.setMode('replace')">
+          Replace — overwrite local data with the backup
+        </label>
+      </div>
+      <table class="data-table">
+        <thead><tr><th></th><th>Section</th><th>Local</th><th>In Backup</th><th>Result</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+      <div class="diff-actions">
+        <button class="action-btn secondary" onclick="BackupManager.cancel()">Cancel</button>
+        <button class="action-btn primary" onclick="BackupManager.apply()">Restore Backup</button>
+      </div>
+    `;
   },
 
-  // Print report
-  print: () => {
-    const output = document.getElementById('reportOutput').textContent;
-    
-    if (!output || output === 'Your generated report will appear here...') {
-      StatusManager.warning('No report to print');
+  // Merge or replace local data with the pending backup
+  apply: () => {
+    if (!BackupManager.pending) return;
+
+    const { backup, included } = BackupManager.pending;
+    const { mode } = BackupManager;
+    if (included.size === 0) {
+      StatusManager.warning('No sections selected');
       return;
     }
+    if (mode === 'replace' && !confirm('Replace local data with the backup? This cannot be undone.')) return;
 
-    const printWindow = window.open('', '_blank');
-    printWindow.document.write(`
-      <html>
-        <head>
-          <title>Report</title>
-          <style>
-            body { font-family: monospace; white-space: pre-wrap; padding: 20px; }
-          </style>
-        </head>
-        <body><pre>${output}</pre></body>
-      </html>
-    `);
-    printWindow.document.close();
-    printWindow.print();
-    StatusManager.success('Print dialog opened');
+    included.forEach(key => {
+      const section = BackupManager.sections[key];
+      const incoming = Utils.clone(backup.data[key]);
+      section.apply(mode === 'replace' ? incoming : section.merge(section.get(), incoming), mode);
+    });
+
+    BackupManager.pending = null;
+    BackupManager.render();
+    StatusManager.success(`Backup restored (${included.size} section${included.size === 1 ? '' : 's'})`);
   },
 
-  // Clear output
-  clear: () => {
-    document.getElementById('reportOutput').textContent = 'Your generated report will appear here...';
-    StatusManager.info('Output cleared');
+  // Discard the pending backup
+  cancel: () => {
+    BackupManager.pending = null;
+    BackupManager.render();
   }
 };
 
@@ -642,6 +6715,19 @@ function testReportGeneration() {
   generateReport('arrest');
 }
 
+function saveDraft() {
+  FormManager.saveFormData();
+  FormManager.reportSaved('Draft saved');
+}
+
+function undoEdit() {
+  EditHistory.undo();
+}
+
+function redoEdit() {
+  EditHistory.redo();
+}
+
 function addOfficer() {
   DynamicFields.addOfficer();
 }
@@ -662,6 +6748,14 @@ function downloadReport() {
   OutputManager.download();
 }
 
+function openRedaction() {
+  Redactor.open();
+}
+
+function downloadPdf() {
+  OutputManager.downloadPdf();
+}
+
 function printReport() {
   OutputManager.print();
 }
@@ -670,6 +6764,50 @@ function clearOutput() {
   OutputManager.clear();
 }
 
+function clearHistory() {
+  ReportHistory.clear();
+}
+
+function openTemplateDesigner() {
+  TemplateDesigner.open();
+}
+
+function toggleNarrative() {
+  Narrative.toggle();
+}
+
+function openRevisions() {
+  Revisions.open();
+}
+
+function openCaseRegistry() {
+  CaseRegistry.open();
+}
+
+function openPersonDirectory() {
+  PersonDirectory.open();
+}
+
+function openCatalogManager() {
+  CatalogManager.open();
+}
+
+function openSettings() {
+  SettingsPanel.open();
+}
+
+function lockApp() {
+  Vault.lock();
+}
+
+function openBackupManager() {
+  BackupManager.open();
+}
+
+function useNextCaseNumber() {
+  CaseNumbering.useNext();
+}
+
 // ===== KEYBOARD SHORTCUTS =====
 const KeyboardShortcuts = {
   init: () => {
@@ -682,7 +6820,7 @@ const KeyboardShortcuts = {
       
       // Ctrl/Cmd + C: Copy report (when not in input)
       if ((e.ctrlKey || e.metaKey) && e.key === 'c' && 
-          !['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+          !['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) && !e.target.isContentEditable) {
         e.preventDefault();
         OutputManager.copy();
       }
@@ -691,7 +6829,20 @@ const KeyboardShortcuts = {
       if ((e.ctrlKey || e.metaKey) && e.key === 's') {
         e.preventDefault();
         FormManager.saveFormData();
-        StatusManager.success('Form saved');
+        FormManager.reportSaved('Form saved');
+      }
+      
+      // Ctrl/Cmd + Z / Shift+Z / Y: Undo and redo form edits (text fields keep their own undo)
+      const inTextField = ['INPUT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable;
+      if ((e.ctrlKey || e.metaKey) && !inTextField) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          EditHistory.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          e.preventDefault();
+          EditHistory.redo();
+        }
       }
       
       // Ctrl/Cmd + P: Print report
@@ -700,9 +6851,10 @@ const KeyboardShortcuts = {
         OutputManager.print();
       }
       
-      // Escape: Clear errors
+      // Escape: Clear errors and close dialogs
       if (e.key === 'Escape') {
         document.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
+        ModalManager.closeAll();
       }
     });
   }
@@ -711,17 +6863,12 @@ const KeyboardShortcuts = {
 // ===== CHARGE MANAGEMENT FUNCTIONS =====
 function addCharge(button) {
   const chargesList = button.previousElementSibling;
-  const newCharge = document.createElement('div');
-  newCharge.className = 'charge-item';
-  newCharge.innerHTML = `
-    <input type="text" placeholder="Charge description" class="charge-description">
-    <input type="number" placeholder="Count" class="charge-count" min="1" value="1">
-    <button class="remove-charge-btn" onclick="removeCharge(this)">×</button>
-  `;
-  chargesList.appendChild(newCharge);
+  chargesList.insertAdjacentHTML('beforeend', DynamicFields.chargeItemHtml());
+  const newCharge = chargesList.lastElementChild;
   
   // Focus on the new charge description input
   newCharge.querySelector('.charge-description').focus();
+  FormManager.notifyChange(chargesList);
 }
 
 function removeCharge(button) {
@@ -731,17 +6878,74 @@ function removeCharge(button) {
   // Don't remove if it's the last charge
   if (chargesList.children.length > 1) {
     chargeItem.remove();
+    FormManager.notifyChange(chargesList);
   } else {
     StatusManager.warning('At least one charge field is required');
   }
 }
 
+// ===== WITNESS MANAGEMENT FUNCTIONS =====
+function addWitness(button) {
+  DynamicFields.addWitness(button.closest('.form-field').querySelector('.witness-list'));
+}
+
+function startWitnessInterview(button) {
+  Navigation.startInterview(button.closest('.witness-item'));
+}
+
+// ===== VEHICLE MANAGEMENT FUNCTIONS =====
+function addVehicle(button) {
+  DynamicFields.addVehicle(button.closest('.form-field').querySelector('.vehicle-list'));
+}
+
+// ===== EVIDENCE MANAGEMENT FUNCTIONS =====
+function addEvidence(button) {
+  DynamicFields.addEvidence(button.closest('.form-field').querySelector('.evidence-list'));
+}
+
+function addCustodyTransfer(button) {
+  const custodyList = button.previousElementSibling;
+  custodyList.insertAdjacentHTML('beforeend', DynamicFields.custodyItemHtml());
+
+  // Focus on the new transfer's date and time
+  custodyList.lastElementChild.querySelector('.custody-time').focus();
+  FormManager.notifyChange(custodyList);
+}
+
+function removeCustodyTransfer(button) {
+  const custodyList = button.parentElement.parentElement;
+  button.parentElement.remove();
+  FormManager.notifyChange(custodyList);
+}
+
 // ===== INITIALIZATION =====
 const App = {
-  init: () => {
+  init: async () => {
+    // Open storage before anything reads saved data
+    await DataStore.open();
+
+    // Settings first, so the auto-lock timer started on unlock uses the saved delay
+    SettingsManager.load();
+    await Vault.init();
+
     // Initialize components
+    OfficerRoster.renderOptions();
+    FieldFormatter.renderTimeZoneOptions();
+    await DraftManager.init();
+    ChargeCatalog.init();
     FormManager.init();
+    Validator.init();
+    EditHistory.init();
     KeyboardShortcuts.init();
+    OutputManager.init();
+    SettingsPanel.init();
+    ModalManager.init();
+    ReportTemplates.load();
+    TemplateDesigner.init();
+    await ReportHistory.init();
+    await CaseRegistry.init();
+    await PersonDirectory.init();
+    CaseNumbering.apply();
     
     // Load saved data
     FormManager.loadFormData();